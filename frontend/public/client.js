@@ -1,16 +1,37 @@
 import * as mediasoupClient from 'mediasoup-client';
+import { log } from './logger.js';
 
 // Socket will be initialized after fetching config
 let socket;
 
-// Helper function to promisify socket.emit with acknowledgment
-function socketRequest(event, data = {}) {
+const REQUEST_TIMEOUT_MS = 10000;
+const ICE_RESTART_DELAY_MS = 2000; // A 'disconnected' transport often recovers by itself
+// ?forceRelay=1 sends all media through TURN, to check the relay setup
+const FORCE_RELAY = new URLSearchParams(window.location.search).get('forceRelay') === '1';
+
+// Rejection reason of socketRequest: `code` is the server's error code
+// (e.g. FORBIDDEN, TRANSPORT_NOT_FOUND) or TIMEOUT when no ack came back
+class SignalingError extends Error {
+  constructor(code, message, event) {
+    super(message);
+    this.name = 'SignalingError';
+    this.code = code;
+    this.event = event;
+  }
+}
+
+// Helper function to promisify socket.emit with acknowledgment. The server
+// acks with { ok: true, data } or { ok: false, error: { code, message } }.
+function socketRequest(event, data = {}, timeout = REQUEST_TIMEOUT_MS) {
   return new Promise((resolve, reject) => {
-    socket.emit(event, data, (response) => {
-      if (response && response.error) {
-        reject(response.error);
+    socket.timeout(timeout).emit(event, data, (err, response) => {
+      if (err) {
+        reject(new SignalingError('TIMEOUT', `${event} timed out after ${timeout}ms`, event));
+      } else if (!response || !response.ok) {
+        const error = response?.error || {};
+        reject(new SignalingError(error.code || 'INTERNAL_ERROR', error.message || 'Request failed', event));
       } else {
-        resolve(response);
+        resolve(response.data);
       }
     });
   });
@@ -32,12 +53,21 @@ let isVideoEnabled = true;
 let isAudioEnabled = true;
 let isMuted = false;
 let myClientId = null;
+let sessionId = null; // From the join response, to take our peer back after a drop
+let myRole = null; // host / speaker / viewer, from the join response
+let pinnedClientId = null; // Tile the user clicked to keep in high quality
+let activeSpeakerId = null; // Dominant speaker reported by the server
+let bitrateLimits = { maxAudioBitrate: 64000, maxVideoBitrate: 900000 }; // From the join response
+let mediaProfile = null; // The room's capture constraints and codec options, from the join response
+let micMonitor = null; // AudioContext and timers logging what publishMic sends
+const SPEAKING_VOLUME_DB = -50; // Server audio level above which a tile shows as speaking
 
 // UI Elements
 const joinBtn = document.getElementById('joinBtn');
 const channelInput = document.getElementById('channelInput');
 const microphoneSelect = document.getElementById('microphoneSelect');
 const cameraSelect = document.getElementById('cameraSelect');
+const profileSelect = document.getElementById('profileSelect');
 const statusDiv = document.getElementById('status');
 const joinContainer = document.getElementById('joinContainer');
 const videoContainer = document.getElementById('videoContainer');
@@ -45,12 +75,32 @@ const videoGrid = document.getElementById('videoGrid');
 const toggleMicBtn = document.getElementById('toggleMicBtn');
 const toggleVideoBtn = document.getElementById('toggleVideoBtn');
 const leaveCallBtn = document.getElementById('leaveCallBtn');
+const recordBtn = document.getElementById('recordBtn');
+const statsBtn = document.getElementById('statsBtn');
+const screenShareBtn = document.getElementById('screenShareBtn');
+const chatBtn = document.getElementById('chatBtn');
+const gridPager = document.getElementById('gridPager');
+const pageLabel = document.getElementById('pageLabel');
+const prevPageBtn = document.getElementById('prevPageBtn');
+const nextPageBtn = document.getElementById('nextPageBtn');
+const chatPanel = document.getElementById('chatPanel');
+const chatMessages = document.getElementById('chatMessages');
+const chatForm = document.getElementById('chatForm');
+const chatInput = document.getElementById('chatInput');
+const recordingIndicator = document.getElementById('recordingIndicator');
 
 // Event Listeners
 joinBtn.onclick = joinChannel;
 toggleMicBtn.onclick = toggleMicrophone;
 toggleVideoBtn.onclick = toggleVideo;
 leaveCallBtn.onclick = leaveChannel;
+recordBtn.onclick = toggleRecording;
+statsBtn.onclick = toggleStats;
+screenShareBtn.onclick = toggleScreenShare;
+chatBtn.onclick = toggleChat;
+prevPageBtn.onclick = () => changeGridPage(-1);
+nextPageBtn.onclick = () => changeGridPage(1);
+chatForm.onsubmit = sendChatMessage;
 channelInput.addEventListener('keypress', (e) => {
   if (e.key === 'Enter') joinChannel();
 });
@@ -66,8 +116,8 @@ async function loadDevices() {
     const audioInputs = devices.filter(device => device.kind === 'audioinput');
     const videoInputs = devices.filter(device => device.kind === 'videoinput');
     
-    console.log('🎤 Available microphones:', audioInputs);
-    console.log('📹 Available cameras:', videoInputs);
+    log.info('Available microphones:', audioInputs);
+    log.info('Available cameras:', videoInputs);
     
     // Load microphones
     microphoneSelect.innerHTML = '';
@@ -81,7 +131,7 @@ async function loadDevices() {
         microphoneSelect.appendChild(option);
       });
       selectedMicrophoneId = audioInputs[0].deviceId;
-      console.log('✅ Default microphone:', audioInputs[0].label);
+      log.info('Default microphone:', audioInputs[0].label);
     }
     
     // Load cameras
@@ -96,11 +146,11 @@ async function loadDevices() {
         cameraSelect.appendChild(option);
       });
       selectedCameraId = videoInputs[0].deviceId;
-      console.log('✅ Default camera:', videoInputs[0].label);
+      log.info('Default camera:', videoInputs[0].label);
     }
     
   } catch (error) {
-    console.error('❌ Failed to load devices:', error);
+    log.error('Failed to load devices:', error);
     microphoneSelect.innerHTML = '<option value="">Error loading microphones</option>';
     cameraSelect.innerHTML = '<option value="">Error loading cameras</option>';
   }
@@ -109,12 +159,12 @@ async function loadDevices() {
 // Update selected devices when user changes selection
 microphoneSelect.onchange = () => {
   selectedMicrophoneId = microphoneSelect.value;
-  console.log('🎤 Microphone changed to:', microphoneSelect.options[microphoneSelect.selectedIndex].text);
+  log.info('Microphone changed to:', microphoneSelect.options[microphoneSelect.selectedIndex].text);
 };
 
 cameraSelect.onchange = () => {
   selectedCameraId = cameraSelect.value;
-  console.log('📹 Camera changed to:', cameraSelect.options[cameraSelect.selectedIndex].text);
+  log.info('Camera changed to:', cameraSelect.options[cameraSelect.selectedIndex].text);
 };
 
 // Initialize socket connection with config from server
@@ -122,45 +172,200 @@ async function initializeSocket() {
   try {
     const response = await fetch('/config');
     const config = await response.json();
-    console.log('🔧 Server config:', config);
+    log.info('Server config:', config);
+    loadMediaProfiles(config.mediaProfiles);
     
     // Initialize socket with the PUBLIC_URL from server
-    socket = io(config.socketUrl);
+    const token = await getAuthToken(config);
+    socket = io(config.socketUrl, { auth: { token } });
     
     // Setup socket event handlers
     setupSocketHandlers();
     
-    console.log('✅ Socket initialized with URL:', config.socketUrl);
+    log.info('Socket initialized with URL:', config.socketUrl);
   } catch (error) {
-    console.error('❌ Failed to fetch config, using current origin:', error);
+    log.error('Failed to fetch config, using current origin:', error);
     // Fallback to current origin if config fetch fails
-    socket = io(window.location.origin);
+    socket = io(window.location.origin, {
+      auth: { token: new URLSearchParams(window.location.search).get('token') },
+    });
     setupSocketHandlers();
   }
 }
 
+// Fills the profile picker; ?profile= preselects one
+function loadMediaProfiles(profiles = []) {
+  for (const { name, description } of profiles) {
+    const option = document.createElement('option');
+    option.value = name;
+    option.text = description ? `${name}: ${description}` : name;
+    profileSelect.appendChild(option);
+  }
+  const requested = new URLSearchParams(window.location.search).get('profile');
+  if (profiles.some(({ name }) => name === requested)) profileSelect.value = requested;
+}
+
+// Uses ?token=<jwt> when given, otherwise asks the server for a dev token
+// (only available when the server runs with AUTH_DEV_TOKENS=true).
+// ?name= and ?role= customize the dev token.
+async function getAuthToken(config) {
+  const params = new URLSearchParams(window.location.search);
+  if (params.get('token')) return params.get('token');
+  if (!config.devTokens) {
+    log.warn('No ?token= given and dev tokens are disabled');
+    return null;
+  }
+
+  const response = await fetch('/auth/dev-token', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      displayName: params.get('name') || undefined,
+      role: params.get('role') || undefined,
+    }),
+  });
+  const { token } = await response.json();
+  log.info('Got dev token');
+  return token;
+}
+
 function setupSocketHandlers() {
   socket.on('connect', () => {
-    console.log('✅ Connected to server:', socket.id);
-    myClientId = socket.id;
+    log.info('Connected to server:', socket.id);
+    if (sessionId) {
+      resumeSession();
+    } else {
+      myClientId = socket.id;
+    }
+  });
+
+  socket.on('disconnect', (reason) => {
+    log.warn('Disconnected from server:', reason);
+    if (sessionId) showStatus('Connection lost, reconnecting...', 'connecting');
+  });
+
+  socket.on('connect_error', (error) => {
+    log.error('Connection refused:', error.message, error.data);
+    showStatus(`Connection refused: ${error.data?.message || error.message}`, 'disconnected');
+  });
+
+  socket.on('newProducer', async ({ producerId, clientId, kind, appData }) => {
+    log.info('NEW PRODUCER EVENT:', { producerId, clientId, kind, appData });
+    await consumeProducer(producerId, clientId, kind, appData);
+  });
+
+  socket.on('mediaReset', async ({ roomId }) => {
+    log.warn('MEDIA RESET for room:', roomId);
+    await recoverMedia();
+  });
+
+  socket.on('producerPaused', ({ producerId, clientId, kind, appData }) => {
+    log.info('Producer paused:', { producerId, clientId, kind });
+    if (!isScreenSource(appData)) setRemoteMediaState(clientId, kind, true);
+  });
+
+  socket.on('producerResumed', ({ producerId, clientId, kind, appData }) => {
+    log.info('Producer resumed:', { producerId, clientId, kind });
+    if (!isScreenSource(appData)) setRemoteMediaState(clientId, kind, false);
   });
 
-  socket.on('newProducer', async ({ producerId, clientId, kind }) => {
-    console.log('📢 NEW PRODUCER EVENT:', { producerId, clientId, kind });
-    if (kind === 'audio') {
-      await consumeAudio(producerId, clientId);
-    } else if (kind === 'video') {
-      await consumeVideo(producerId, clientId);
+  socket.on('producerClosed', ({ producerId, clientId }) => {
+    log.info('Producer closed:', { producerId, clientId });
+    for (const consumer of consumers.values()) {
+      if (consumer.producerId === producerId) {
+        closeConsumer(consumer.id);
+      }
     }
   });
 
-  socket.on('userJoined', ({ clientId }) => {
-    console.log('👤 User joined:', clientId);
-    addParticipant(clientId);
+  socket.on('consumerClosed', ({ consumerId, producerId }) => {
+    log.info('Consumer closed by server:', { consumerId, producerId });
+    closeConsumer(consumerId);
+  });
+
+  socket.on('consumerScore', ({ consumerId, score }) => {
+    const consumer = consumers.get(consumerId);
+    if (!consumer) return;
+    consumer.appData.score = score;
+    updateQualityIndicator(consumer.appData.clientId);
+  });
+
+  socket.on('consumerLayersChanged', ({ consumerId, layers }) => {
+    const consumer = consumers.get(consumerId);
+    if (consumer) consumer.appData.layers = layers;
+  });
+
+  // The server paused or downgraded a video consumer for lack of bandwidth
+  socket.on('consumerBandwidthChanged', ({ consumerId, state }) => {
+    const consumer = consumers.get(consumerId);
+    if (!consumer) return;
+    log.warn('Video bandwidth state:', consumer.appData.clientId, state);
+    consumer.appData.bandwidthState = state;
+    updateParticipantBadges(consumer.appData.clientId);
+  });
+
+  socket.on('newDataProducer', async (dataProducer) => {
+    log.info('New data producer:', dataProducer);
+    await consumeData(dataProducer);
+  });
+
+  socket.on('dataConsumerClosed', ({ dataConsumerId }) => {
+    dataConsumers.get(dataConsumerId)?.close();
+    dataConsumers.delete(dataConsumerId);
+  });
+
+  socket.on('activeSpeaker', ({ clientId, producerId }) => {
+    // Keep the last speaker focused through pauses in the conversation
+    if (!clientId || clientId === activeSpeakerId) return;
+    log.info('Active speaker:', clientId, producerId);
+    activeSpeakerId = clientId;
+    updateVideoGrid();
+  });
+
+  socket.on('audioLevels', ({ levels }) => {
+    updateSpeakingIndicators(levels);
+  });
+
+  socket.on('recordingStarted', ({ roomId, startedBy }) => {
+    log.info('Recording started in', roomId, 'by', startedBy);
+    setRecordingState(true);
+  });
+
+  socket.on('recordingStopped', ({ roomId, files }) => {
+    log.info('Recording stopped in', roomId, 'files:', files);
+    setRecordingState(false);
+  });
+
+  // Operator actions from the room admin API
+  socket.on('mutedByHost', ({ roomId, kind }) => {
+    log.warn('Muted by host in', roomId, kind);
+    applyHostMute(kind);
+  });
+
+  socket.on('unmutedByHost', ({ roomId, kind }) => {
+    log.info('Unmuted by host in', roomId, kind);
+    showStatus(`The host allows your ${kind === 'audio' ? 'microphone' : 'camera'} again`, 'connected');
+  });
+
+  socket.on('kicked', ({ roomId }) => {
+    log.warn('Removed from room', roomId);
+    leaveChannel();
+    showStatus('You were removed from the room', 'disconnected');
+  });
+
+  socket.on('roomClosed', ({ roomId }) => {
+    log.warn('Room closed:', roomId);
+    leaveChannel();
+    showStatus('The room was closed', 'disconnected');
+  });
+
+  socket.on('userJoined', ({ clientId, displayName }) => {
+    log.info('User joined:', clientId, displayName);
+    addParticipant(clientId, false, displayName);
   });
 
   socket.on('userLeft', ({ clientId }) => {
-    console.log('👋 User left:', clientId);
+    log.info('User left:', clientId);
     removeParticipant(clientId);
   });
 }
@@ -176,13 +381,13 @@ document.addEventListener(
   () => {
     if (!audioEnabled) {
       audioEnabled = true;
-      console.log('🔊 User interaction detected - audio enabled');
+      log.info('User interaction detected - audio enabled');
 
       // Try to resume all audio elements
       for (const [clientId, participant] of participants.entries()) {
         if (participant.audio && participant.audio.paused) {
           participant.audio.play().catch((e) => {
-            console.log('Could not resume audio for', clientId, ':', e.message);
+            log.info('Could not resume audio for', clientId, ':', e.message);
           });
         }
       }
@@ -206,91 +411,291 @@ async function joinChannel() {
     showStatus('Connecting to channel...', 'connecting');
     joinBtn.disabled = true;
 
-    console.log('🚀 Starting connection process...');
-    console.log('📦 mediasoup-client:', mediasoupClient);
+    log.info('Starting connection process...');
+    log.info('mediasoup-client:', mediasoupClient);
 
-    // Initialize mediasoup device
-    console.log('📡 Requesting RTP capabilities...');
-    const rtpCapabilities = await socketRequest('getRtpCapabilities');
-    console.log('✅ Got RTP capabilities:', rtpCapabilities);
+    // Join room FIRST: the server releases any media left over from a
+    // previous room on join, so transports must be created afterwards
+    log.info('Joining room:', roomId);
+    const {
+      existingProducers,
+      existingDataProducers,
+      clientId,
+      sessionId: session,
+      user,
+      recording,
+      bitrateLimits: limits,
+      mediaProfile: profile,
+    } = await socketRequest('join', { roomId, profile: profileSelect.value || undefined });
+    log.info('Joined room as', user, 'Existing producers:', existingProducers);
+    currentRoomId = roomId;
+    myClientId = clientId;
+    sessionId = session;
+    myRole = user.role;
+    bitrateLimits = limits;
+    mediaProfile = profile;
+    log.info('Room media profile:', profile.name);
 
-    device = new mediasoupClient.Device();
-    await device.load({ routerRtpCapabilities: rtpCapabilities });
-    console.log('✅ Device loaded');
+    // Initialize mediasoup device
+    await loadDevice();
 
     // Create transports
-    console.log('🔌 Creating send transport...');
+    log.info('Creating send transport...');
     await createSendTransport();
-    console.log('✅ Send transport created');
+    log.info('Send transport created');
 
-    console.log('🔌 Creating receive transport...');
+    log.info('Creating receive transport...');
     await createRecvTransport();
-    console.log('✅ Receive transport created');
+    log.info('Receive transport created');
 
-    // Join room FIRST (before publishing)
-    console.log('🚪 Joining room:', roomId);
-    const { existingProducers } = await socketRequest('join', { roomId });
-    console.log('✅ Joined room. Existing producers:', existingProducers);
-    currentRoomId = roomId;
+    await setupChat(existingDataProducers);
 
     // NOW publish microphone and camera (so others in room get notified)
-    console.log('🎤 Publishing microphone...');
-    await publishMic();
-    console.log('✅ Microphone published');
-    
-    console.log('📹 Publishing camera...');
-    await publishCamera();
-    console.log('✅ Camera published');
+    if (canPublish()) {
+      log.info('Publishing microphone...');
+      await publishMic();
+      log.info('Microphone published');
+
+      log.info('Publishing camera...');
+      await publishCamera();
+      log.info('Camera published');
+    } else {
+      log.info('Joined as viewer, not publishing');
+    }
 
     // Add myself to participants with my own video
     addParticipant(myClientId, true);
 
     // Consume existing producers
     if (existingProducers && existingProducers.length > 0) {
-      console.log(
-        '🔊 Consuming',
+      log.info(
+        'Consuming',
         existingProducers.length,
         'existing producer(s)...',
       );
-      for (const { producerId, clientId, kind } of existingProducers) {
-        console.log(
-          `  → Consuming ${kind} producer:`,
+      for (const { producerId, clientId, kind, paused, displayName, appData } of existingProducers) {
+        log.info(
+          `Consuming ${kind} producer:`,
           producerId,
           'from client:',
           clientId,
         );
-        if (kind === 'audio') {
-          await consumeAudio(producerId, clientId);
-        } else if (kind === 'video') {
-          await consumeVideo(producerId, clientId);
-        }
-        addParticipant(clientId);
+        await consumeProducer(producerId, clientId, kind, appData);
+        addParticipant(clientId, false, displayName);
+        if (!isScreenSource(appData)) setRemoteMediaState(clientId, kind, paused);
       }
     } else {
-      console.log('ℹ️ No existing producers to consume');
+      log.info('No existing producers to consume');
     }
 
+    // Only hosts may record, viewers cannot share their screen
+    recordBtn.style.display = myRole === 'host' ? '' : 'none';
+    screenShareBtn.style.display = canPublish() && navigator.mediaDevices.getDisplayMedia ? '' : 'none';
+    setRecordingState(recording);
+
     // Switch to video conference view
     joinContainer.style.display = 'none';
     videoContainer.classList.add('active');
     updateVideoGrid();
-    console.log('✅ Connection complete!');
+    log.info('Connection complete!');
   } catch (error) {
-    console.error('Failed to join channel:', error);
-    showStatus('Failed to connect to channel', 'disconnected');
+    log.error('Failed to join channel:', error);
+    showStatus(
+      error?.code === 'FORBIDDEN' ? error.message : 'Failed to connect to channel',
+      'disconnected',
+    );
     joinBtn.disabled = false;
   }
 }
 
+function canPublish() {
+  return myRole === 'host' || myRole === 'speaker';
+}
+
+async function loadDevice() {
+  log.info('Requesting RTP capabilities...');
+  const rtpCapabilities = await socketRequest('getRtpCapabilities');
+  log.info('Got RTP capabilities:', rtpCapabilities);
+
+  device = new mediasoupClient.Device();
+  await device.load({ routerRtpCapabilities: rtpCapabilities });
+  log.info('Device loaded');
+}
+
+async function consumeProducer(producerId, clientId, kind, appData = {}) {
+  // Skip producers we already receive (e.g. announced again during recovery)
+  for (const consumer of consumers.values()) {
+    if (consumer.producerId === producerId) return;
+  }
+
+  if (isScreenSource(appData)) {
+    await consumeScreen(producerId, clientId, kind);
+  } else if (kind === 'audio') {
+    await consumeAudio(producerId, clientId);
+  } else if (kind === 'video') {
+    await consumeVideo(producerId, clientId);
+  }
+}
+
+// The server lost the worker hosting our room and everything it held for us
+// is gone. Rebuild transports, re-publish and re-consume without leaving.
+async function recoverMedia() {
+  if (!currentRoomId) return;
+
+  log.info('Recovering media...');
+  for (const consumerId of Array.from(consumers.keys())) {
+    closeConsumer(consumerId);
+  }
+  if (sendTransport) sendTransport.close();
+  if (recvTransport) recvTransport.close();
+  if (audioStream) audioStream.getTracks().forEach((track) => track.stop());
+  if (videoStream) videoStream.getTracks().forEach((track) => track.stop());
+  stopMicMonitor();
+  audioProducer = null;
+  videoProducer = null;
+  stopScreenShare({ notify: false }); // The user can share again
+  chatProducer = null;
+  dataConsumers.clear(); // Closed with the receive transport
+
+  try {
+    await loadDevice();
+    await createSendTransport();
+    await createRecvTransport();
+
+    if (canPublish()) {
+      await publishMic();
+      await publishCamera();
+    }
+
+    // Keep the mute / camera-off choices the user made before the reset
+    if (audioProducer && !isAudioEnabled) {
+      audioProducer.pause();
+      await syncProducerState(audioProducer);
+    }
+    if (videoProducer && !isVideoEnabled) {
+      videoProducer.pause();
+      await syncProducerState(videoProducer);
+    }
+
+    const { existingProducers, existingDataProducers } = await socketRequest('getProducers');
+    await setupChat(existingDataProducers);
+    for (const { producerId, clientId, kind, paused, displayName, appData } of existingProducers) {
+      await consumeProducer(producerId, clientId, kind, appData);
+      addParticipant(clientId, false, displayName);
+      if (!isScreenSource(appData)) setRemoteMediaState(clientId, kind, paused);
+    }
+
+    updateVideoGrid();
+    log.info('Media recovered');
+  } catch (error) {
+    log.error('Failed to recover media:', error);
+  }
+}
+
+// The socket came back after a drop. Our peer, with its transports,
+// producers and consumers, is still on the server for a grace period: take
+// it back, catch up on what we missed and repair the transports, all
+// without joining again.
+async function resumeSession() {
+  try {
+    const { participants: others, recording } = await socketRequest('resume', { sessionId });
+    log.info('Session resumed as', myClientId);
+    setRecordingState(recording);
+    await catchUpOnRoom(others);
+
+    for (const transport of [sendTransport, recvTransport]) {
+      if (transport && ['disconnected', 'failed'].includes(transport.connectionState)) {
+        await restartIce(transport);
+      }
+    }
+    showStatus('Reconnected', 'connected');
+  } catch (error) {
+    log.error('Failed to resume session:', error);
+    leaveChannel();
+    showStatus(
+      error?.code === 'SESSION_EXPIRED'
+        ? 'Disconnected for too long, please join again'
+        : 'Connection lost, please join again',
+      'disconnected',
+    );
+  }
+}
+
+// Applies the participants, producers and data producers that came and went
+// while our socket was away and their events could not reach us
+async function catchUpOnRoom(others) {
+  const { existingProducers, existingDataProducers } = await socketRequest('getProducers');
+
+  const liveProducerIds = new Set(existingProducers.map(({ producerId }) => producerId));
+  for (const consumer of Array.from(consumers.values())) {
+    if (!liveProducerIds.has(consumer.producerId)) closeConsumer(consumer.id);
+  }
+
+  const present = new Set(others.map(({ clientId }) => clientId));
+  for (const clientId of Array.from(participants.keys())) {
+    if (clientId !== myClientId && !present.has(clientId)) removeParticipant(clientId);
+  }
+  for (const { clientId, displayName } of others) {
+    addParticipant(clientId, false, displayName);
+  }
+
+  for (const { producerId, clientId, kind, paused, appData } of existingProducers) {
+    await consumeProducer(producerId, clientId, kind, appData);
+    if (!isScreenSource(appData)) setRemoteMediaState(clientId, kind, paused);
+  }
+  for (const dataProducer of existingDataProducers) {
+    await consumeData(dataProducer);
+  }
+  updateVideoGrid();
+}
+
+// Gets new ICE credentials from the server so the transport can find a
+// working path again, e.g. after a network switch
+async function restartIce(transport) {
+  if (!transport || transport.closed || !socket.connected) return;
+  if (transport.appData.restartingIce) return;
+
+  transport.appData.restartingIce = true;
+  try {
+    log.info('Restarting ICE on transport', transport.id);
+    const { iceParameters } = await socketRequest('restartIce', { transportId: transport.id });
+    await transport.restartIce({ iceParameters });
+  } catch (error) {
+    log.error('ICE restart failed:', error);
+  } finally {
+    transport.appData.restartingIce = false;
+  }
+}
+
+// Restarts ICE when the transport fails, or stays disconnected for a moment.
+// With the socket down, resumeSession takes care of it once it is back.
+function watchConnectionState(transport) {
+  let restartTimer;
+  transport.on('connectionstatechange', (state) => {
+    clearTimeout(restartTimer);
+    if (state === 'failed') {
+      restartIce(transport);
+    } else if (state === 'disconnected') {
+      restartTimer = setTimeout(() => restartIce(transport), ICE_RESTART_DELAY_MS);
+    }
+  });
+}
+
+// The createTransport ack carries the ICE servers (with TURN credentials)
+// and policy to use, both taken as they are unless relaying is forced
+function getTransportOptions(params) {
+  return FORCE_RELAY ? { ...params, iceTransportPolicy: 'relay' } : params;
+}
+
 async function createSendTransport() {
-  console.log('  📤 Requesting transport params...');
+  log.info('Requesting transport params...');
   const params = await socketRequest('createTransport');
-  console.log('  📤 Send transport params:', params);
+  log.info('Send transport params:', params);
 
-  sendTransport = device.createSendTransport(params);
-  console.log('  📤 Send transport created:', sendTransport.id);
-  console.log('  📤 Send transport object:', sendTransport);
-  console.log('  📤 Send transport properties:', {
+  sendTransport = device.createSendTransport(getTransportOptions(params));
+  log.info('Send transport created:', sendTransport.id);
+  log.info('Send transport object:', sendTransport);
+  log.info('Send transport properties:', {
     connectionState: sendTransport.connectionState,
     iceConnectionState: sendTransport.iceConnectionState,
     iceGatheringState: sendTransport.iceGatheringState,
@@ -299,47 +704,69 @@ async function createSendTransport() {
 
   // Monitor connection state changes
   sendTransport.on('connectionstatechange', (state) => {
-    console.log('  📤 SEND Transport connection state changed:', state);
+    log.info('SEND Transport connection state changed:', state);
   });
+  watchConnectionState(sendTransport);
 
   sendTransport.on('icestatechange', (state) => {
-    console.log('  📤 SEND Transport ICE state changed:', state);
+    log.info('SEND Transport ICE state changed:', state);
   });
 
   sendTransport.on('connect', async ({ dtlsParameters }, callback, errback) => {
     try {
-      console.log('  📤 SEND: Connecting transport...', {
+      log.info('SEND: Connecting transport...', {
         transportId: sendTransport.id,
       });
       await socketRequest('connectTransport', {
         transportId: sendTransport.id,
         dtlsParameters,
       });
-      console.log('  ✅ SEND: Transport connected');
+      log.info('SEND: Transport connected');
       callback();
     } catch (error) {
-      console.error('  ❌ SEND: Transport connect error:', error);
+      log.error('SEND: Transport connect error:', error);
       errback(error);
     }
   });
 
   sendTransport.on(
     'produce',
-    async ({ kind, rtpParameters }, callback, errback) => {
+    async ({ kind, rtpParameters, appData }, callback, errback) => {
       try {
-        console.log('  📤 SEND: Producing...', {
+        log.info('SEND: Producing...', {
           transportId: sendTransport.id,
           kind,
         });
-        const { id } = await socketRequest('produce', {
+        const { id, mutedByHost } = await socketRequest('produce', {
           transportId: sendTransport.id,
           kind,
           rtpParameters,
+          appData,
         });
-        console.log('  ✅ SEND: Producer created:', id);
+        log.info('SEND: Producer created:', id);
         callback({ id });
+        // The server created it paused, catch up once the producer is ours
+        if (mutedByHost) setTimeout(() => applyHostMute(kind));
       } catch (error) {
-        console.error('  ❌ SEND: Produce error:', error);
+        log.error('SEND: Produce error:', error);
+        errback(error);
+      }
+    },
+  );
+
+  sendTransport.on(
+    'producedata',
+    async ({ sctpStreamParameters, label, protocol }, callback, errback) => {
+      try {
+        const { id } = await socketRequest('produceData', {
+          transportId: sendTransport.id,
+          sctpStreamParameters,
+          label,
+          protocol,
+        });
+        callback({ id });
+      } catch (error) {
+        log.error('SEND: Produce data error:', error);
         errback(error);
       }
     },
@@ -347,40 +774,41 @@ async function createSendTransport() {
 }
 
 async function createRecvTransport() {
-  console.log('  📥 Requesting transport params...');
+  log.info('Requesting transport params...');
   const params = await socketRequest('createTransport');
-  console.log('  📥 Receive transport params:', params);
+  log.info('Receive transport params:', params);
 
-  recvTransport = device.createRecvTransport(params);
-  console.log('  📥 Receive transport created:', recvTransport.id);
-  console.log(
-    '  📥 Receive transport connection state:',
+  recvTransport = device.createRecvTransport(getTransportOptions(params));
+  log.info('Receive transport created:', recvTransport.id);
+  log.info(
+    'Receive transport connection state:',
     recvTransport.connectionState,
   );
-  console.log('  📥 Receive transport ice state:', recvTransport.iceState);
+  log.info('Receive transport ice state:', recvTransport.iceState);
 
   // Monitor connection state changes
   recvTransport.on('connectionstatechange', (state) => {
-    console.log('  📥 RECV Transport connection state changed:', state);
+    log.info('RECV Transport connection state changed:', state);
   });
+  watchConnectionState(recvTransport);
 
   recvTransport.on('icestatechange', (state) => {
-    console.log('  📥 RECV Transport ICE state changed:', state);
+    log.info('RECV Transport ICE state changed:', state);
   });
 
   recvTransport.on('connect', async ({ dtlsParameters }, callback, errback) => {
     try {
-      console.log('  📥 RECV: Connecting transport...', {
+      log.info('RECV: Connecting transport...', {
         transportId: recvTransport.id,
       });
       await socketRequest('connectTransport', {
         transportId: recvTransport.id,
         dtlsParameters,
       });
-      console.log('  ✅ RECV: Transport connected');
+      log.info('RECV: Transport connected');
       callback();
     } catch (error) {
-      console.error('  ❌ RECV: Transport connect error:', error);
+      log.error('RECV: Transport connect error:', error);
       errback(error);
     }
   });
@@ -388,26 +816,22 @@ async function createRecvTransport() {
 
 async function publishMic() {
   try {
-    console.log('  🎤 Requesting microphone access...');
-    const audioConstraints = {
-      echoCancellation: true,
-      noiseSuppression: true,
-      autoGainControl: true,
-    };
+    log.info('Requesting microphone access...');
+    const audioConstraints = { ...mediaProfile.audio.constraints };
     
     // Use selected microphone if one is chosen
     if (selectedMicrophoneId) {
       audioConstraints.deviceId = { exact: selectedMicrophoneId };
-      console.log('  🎤 Using selected microphone:', selectedMicrophoneId);
+      log.info('Using selected microphone:', selectedMicrophoneId);
     }
     
     audioStream = await navigator.mediaDevices.getUserMedia({
       audio: audioConstraints,
     });
-    console.log('  ✅ Got microphone stream');
+    log.info('Got microphone stream');
 
     const track = audioStream.getAudioTracks()[0];
-    console.log('  🎤 Audio track:', {
+    log.info('Audio track:', {
       id: track.id,
       enabled: track.enabled,
       muted: track.muted,
@@ -416,41 +840,41 @@ async function publishMic() {
 
     audioProducer = await sendTransport.produce({ 
       track,
+      appData: { source: 'mic' },
       codecOptions: {
-        opusStereo: true,
-        opusFec: true, // Forward error correction
-        opusDtx: false, // Disable discontinuous transmission 
-        opusMaxPlaybackRate: 48000,
-        opusMaxAverageBitrate: 510000, // Maximum bitrate for Opus
-        opusPtime: 20,
-      }
+        ...mediaProfile.audio.codecOptions,
+        opusMaxAverageBitrate: bitrateLimits.maxAudioBitrate,
+      },
     });
-    console.log('  ✅ Audio Producer created:', audioProducer.id);
-    console.log('  📤 Producer paused:', audioProducer.paused);
-    console.log('  📤 Producer track:', audioProducer.track);
-    console.log('  📤 Producer codec options: high quality Opus');
+    log.info('Audio Producer created:', audioProducer.id);
+    log.info('Producer paused:', audioProducer.paused);
+    log.info('Producer track:', audioProducer.track);
+    log.info('Producer codec options:', mediaProfile.audio.codecOptions);
 
     // Make sure producer is not paused
     if (audioProducer.paused) {
-      console.log('  ⚠️ Producer is paused, resuming...');
+      log.info('Producer is paused, resuming...');
       await audioProducer.resume();
-      console.log('  ✅ Producer resumed');
+      log.info('Producer resumed');
     } else {
-      console.log('  ✅ Producer is already active (not paused)');
+      log.info('Producer is already active (not paused)');
     }
 
     audioProducer.on('trackended', () => {
-      console.log('  ⚠️ Audio producer track ended');
+      log.info('Audio producer track ended');
     });
 
     audioProducer.on('transportclose', () => {
-      console.log('  ⚠️ Audio producer transport closed');
+      log.info('Audio producer transport closed');
     });
 
     // Monitor outgoing audio levels
+    stopMicMonitor();
+    micMonitor = { audioContext: null, intervals: [] };
     try {
       const audioContext = new (window.AudioContext ||
         window.webkitAudioContext)();
+      micMonitor.audioContext = audioContext;
       const source = audioContext.createMediaStreamSource(audioStream);
       const analyser = audioContext.createAnalyser();
       analyser.fftSize = 256;
@@ -465,8 +889,8 @@ async function publishMic() {
 
         const now = Date.now();
         if (average > 0 && now - lastLog > 2000) {
-          console.log(
-            '  📤 SENDING Audio level:',
+          log.info(
+            'SENDING Audio level:',
             '█'.repeat(Math.floor(average / 5)),
             Math.round(average),
           );
@@ -474,20 +898,21 @@ async function publishMic() {
         }
       };
 
-      setInterval(checkOutputLevel, 100);
-      console.log('  ✅ Outgoing audio monitoring enabled');
+      micMonitor.intervals.push(setInterval(checkOutputLevel, 100));
+      log.info('Outgoing audio monitoring enabled');
     } catch (e) {
-      console.warn('  ⚠️ Could not monitor outgoing audio:', e);
+      log.warn('Could not monitor outgoing audio:', e);
     }
 
     // Log producer and transport stats periodically
-    setInterval(async () => {
+    const producer = audioProducer;
+    micMonitor.intervals.push(setInterval(async () => {
       try {
-        const stats = await audioProducer.getStats();
+        const stats = await producer.getStats();
         let foundRTP = false;
         stats.forEach((report) => {
           if (report.type === 'outbound-rtp' && report.kind === 'audio') {
-            console.log('  📤 SEND Stats:', {
+            log.info('SEND Stats:', {
               packetsSent: report.packetsSent,
               bytesSent: report.bytesSent,
             });
@@ -496,112 +921,431 @@ async function publishMic() {
 
           // Log ALL report types to see what's available
           if (!foundRTP) {
-            console.log('  📊 Report type:', report.type, report);
+            log.info('Report type:', report.type, report);
           }
         });
       } catch (e) {
-        console.error('  ❌ Error getting stats:', e);
+        log.error('Error getting stats:', e);
       }
-    }, 5000);
+    }, 5000));
   } catch (error) {
-    console.error('  ❌ Failed to get microphone access:', error);
+    log.error('Failed to get microphone access:', error);
     throw error;
   }
 }
 
+function stopMicMonitor() {
+  if (!micMonitor) return;
+  micMonitor.intervals.forEach(clearInterval);
+  micMonitor.audioContext?.close();
+  micMonitor = null;
+}
+
+// Closes the AudioContexts and timers consumeAudio set up for a participant
+function releaseParticipantAudio(participant) {
+  participant.audioContext?.close();
+  participant.monitorContext?.close();
+  clearInterval(participant.levelCheckInterval);
+  clearInterval(participant.outputLevelInterval);
+  participant.audioContext = null;
+  participant.monitorContext = null;
+  participant.levelCheckInterval = null;
+  participant.outputLevelInterval = null;
+}
+
 async function publishCamera() {
   try {
-    console.log('  📹 Requesting camera access...');
-    const videoConstraints = {
-      width: { ideal: 1280 },
-      height: { ideal: 720 },
-      frameRate: { ideal: 30 },
-    };
+    log.info('Requesting camera access...');
+    const videoConstraints = { ...mediaProfile.video.constraints };
     
     // Use selected camera if one is chosen
     if (selectedCameraId) {
       videoConstraints.deviceId = { exact: selectedCameraId };
-      console.log('  📹 Using selected camera:', selectedCameraId);
+      log.info('Using selected camera:', selectedCameraId);
     }
     
     videoStream = await navigator.mediaDevices.getUserMedia({
       video: videoConstraints,
     });
-    console.log('  ✅ Got camera stream');
+    log.info('Got camera stream');
 
     const track = videoStream.getVideoTracks()[0];
-    console.log('  📹 Video track:', {
+    log.info('Video track:', {
       id: track.id,
       enabled: track.enabled,
       readyState: track.readyState,
       label: track.label,
     });
 
+    // VP9 carries all layers in one SVC encoding, VP8/H264 use simulcast
+    const codec = selectVideoCodec();
+    const isVp9 = codec && codec.mimeType.toLowerCase() === 'video/vp9';
+    // No layer may go above the server's video limit
+    const encodings = (
+      isVp9
+        ? [{ scalabilityMode: 'L3T3_KEY', maxBitrate: 1500000 }]
+        : mediaProfile.video.encodings || DEFAULT_SIMULCAST_ENCODINGS
+    ).map((encoding) => ({
+      ...encoding,
+      maxBitrate: Math.min(encoding.maxBitrate, bitrateLimits.maxVideoBitrate),
+    }));
+    log.info('Publishing with codec:', codec?.mimeType, isVp9 ? '(SVC)' : '(simulcast)');
+
     videoProducer = await sendTransport.produce({ 
       track,
-      encodings: [
-        { maxBitrate: 100000 },
-        { maxBitrate: 300000 },
-        { maxBitrate: 900000 },
-      ],
-      codecOptions: {
-        videoGoogleStartBitrate: 1000,
-      }
+      codec,
+      appData: { source: 'webcam' },
+      encodings,
+      codecOptions: mediaProfile.video.codecOptions,
     });
-    console.log('  ✅ Video producer created:', videoProducer.id);
+    log.info('Video producer created:', videoProducer.id);
 
     videoProducer.on('trackended', () => {
-      console.log('  ⚠️ Video producer track ended');
+      log.info('Video producer track ended');
     });
 
     videoProducer.on('transportclose', () => {
-      console.log('  ⚠️ Video producer transport closed');
+      log.info('Video producer transport closed');
     });
 
   } catch (error) {
-    console.error('  ❌ Failed to get camera access:', error);
+    log.error('Failed to get camera access:', error);
     throw error;
   }
 }
 
+// Simulcast layers when the media profile has none
+const DEFAULT_SIMULCAST_ENCODINGS = [
+  { rid: 'r0', scaleResolutionDownBy: 4, maxBitrate: 100000, scalabilityMode: 'L1T3' },
+  { rid: 'r1', scaleResolutionDownBy: 2, maxBitrate: 300000, scalabilityMode: 'L1T3' },
+  { rid: 'r2', scaleResolutionDownBy: 1, maxBitrate: 900000, scalabilityMode: 'L1T3' },
+];
+
+// Picks the camera codec from ?videoCodec=vp8|vp9|h264, or the one of the
+// room's media profile (VP8 if it names none). Undefined when the room
+// lacks it, letting mediasoup-client take the first one it has.
+function selectVideoCodec() {
+  const requested = new URLSearchParams(window.location.search).get('videoCodec');
+  const wanted = (
+    requested ? `video/${requested}` : mediaProfile.video.codec || 'video/vp8'
+  ).toLowerCase();
+  return device.rtpCapabilities.codecs.find(
+    (codec) => codec.mimeType.toLowerCase() === wanted,
+  );
+}
+
+// In-room chat over DataChannels: every client sends on its own 'chat' data
+// producer and consumes everyone else's. Other labels are logged only.
+const CHAT_MAX_LENGTH = 1000;
+let chatProducer = null;
+const dataConsumers = new Map(); // dataConsumerId -> dataConsumer
+
+async function setupChat(existingDataProducers = []) {
+  try {
+    chatProducer = await sendTransport.produceData({
+      ordered: true,
+      label: 'chat',
+      protocol: 'json',
+    });
+  } catch (error) {
+    log.error('Failed to open chat channel:', error);
+  }
+  for (const dataProducer of existingDataProducers) {
+    await consumeData(dataProducer);
+  }
+}
+
+async function consumeData({ dataProducerId, clientId, displayName }) {
+  if (clientId === myClientId) return;
+  for (const dataConsumer of dataConsumers.values()) {
+    if (dataConsumer.dataProducerId === dataProducerId) return;
+  }
+
+  try {
+    const { id, sctpStreamParameters, label, protocol } = await socketRequest('consumeData', {
+      transportId: recvTransport.id,
+      dataProducerId,
+    });
+    const dataConsumer = await recvTransport.consumeData({
+      id,
+      dataProducerId,
+      sctpStreamParameters,
+      label,
+      protocol,
+      appData: { clientId, displayName },
+    });
+    dataConsumers.set(id, dataConsumer);
+    dataConsumer.on('message', (message) => handleDataMessage(dataConsumer, message));
+  } catch (error) {
+    log.error('Failed to consume data:', error);
+  }
+}
+
+function handleDataMessage(dataConsumer, message) {
+  const { clientId, displayName } = dataConsumer.appData;
+  if (dataConsumer.label !== 'chat') {
+    log.info(`Data on ${dataConsumer.label} from`, clientId, message);
+    return;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(message);
+  } catch {
+    log.warn('Ignoring malformed chat message from', clientId);
+    return;
+  }
+  if (typeof payload.text !== 'string') return;
+
+  const name = displayName || `User ${clientId.substring(0, 8)}`;
+  addChatMessage(name, payload.text.slice(0, CHAT_MAX_LENGTH));
+}
+
+function sendChatMessage(event) {
+  event.preventDefault();
+  const text = chatInput.value.trim().slice(0, CHAT_MAX_LENGTH);
+  if (!text || !chatProducer || chatProducer.closed) return;
+
+  chatProducer.send(JSON.stringify({ text }));
+  addChatMessage('You', text, true);
+  chatInput.value = '';
+}
+
+function addChatMessage(name, text, mine = false) {
+  const entry = document.createElement('div');
+  entry.className = mine ? 'chat-message mine' : 'chat-message';
+  const author = document.createElement('span');
+  author.className = 'chat-author';
+  author.textContent = name;
+  const body = document.createElement('span');
+  body.textContent = text;
+  entry.append(author, body);
+
+  chatMessages.appendChild(entry);
+  chatMessages.scrollTop = chatMessages.scrollHeight;
+  if (!chatPanel.classList.contains('open')) chatBtn.classList.add('unread');
+}
+
+function toggleChat() {
+  const open = chatPanel.classList.toggle('open');
+  if (open) {
+    chatBtn.classList.remove('unread');
+    chatInput.focus();
+  }
+}
+
+// Data producers and consumers close with the transports
+function resetChat() {
+  chatProducer = null;
+  dataConsumers.clear();
+  chatMessages.innerHTML = '';
+  chatPanel.classList.remove('open');
+  chatBtn.classList.remove('unread');
+}
+
+// Screen sharing: a video producer tagged { source: 'screen' } plus, when the
+// browser offers it, the tab or system audio tagged { source: 'screen-audio' }
+let screenStream = null;
+let screenProducer = null;
+let screenAudioProducer = null;
+
+function isScreenSource(appData) {
+  return appData?.source === 'screen' || appData?.source === 'screen-audio';
+}
+
+async function toggleScreenShare() {
+  if (screenProducer) {
+    stopScreenShare();
+  } else {
+    await startScreenShare();
+  }
+}
+
+async function startScreenShare() {
+  try {
+    screenStream = await navigator.mediaDevices.getDisplayMedia({
+      video: { frameRate: { ideal: 15, max: 30 } },
+      audio: true, // Only offered for tabs / the whole screen, the user may decline
+    });
+  } catch (error) {
+    log.warn('Screen share cancelled:', error);
+    screenStream = null;
+    return;
+  }
+
+  const [track] = screenStream.getVideoTracks();
+  track.contentHint = 'detail'; // Keep text sharp rather than motion smooth
+  track.addEventListener('ended', () => stopScreenShare()); // Browser's "Stop sharing"
+
+  try {
+    screenProducer = await sendTransport.produce({
+      track,
+      encodings: [{ maxBitrate: bitrateLimits.maxVideoBitrate }],
+      appData: { source: 'screen' },
+    });
+    const [audioTrack] = screenStream.getAudioTracks();
+    if (audioTrack) {
+      screenAudioProducer = await sendTransport.produce({
+        track: audioTrack,
+        codecOptions: {
+          opusStereo: true,
+          opusMaxAverageBitrate: bitrateLimits.maxAudioBitrate,
+        },
+        appData: { source: 'screen-audio' },
+      });
+    }
+    log.info('Sharing screen', audioTrack ? 'with audio' : 'without audio');
+  } catch (error) {
+    log.error('Failed to share screen:', error);
+    stopScreenShare();
+    return;
+  }
+
+  screenShareBtn.style.background = '#1a73e8';
+  screenShareBtn.title = 'Stop Sharing';
+  updateVideoGrid();
+}
+
+// With notify: false the transport is going away and the server closes the
+// producers along with it
+function stopScreenShare({ notify = true } = {}) {
+  for (const producer of [screenProducer, screenAudioProducer]) {
+    if (!producer) continue;
+    producer.close();
+    if (notify) {
+      socketRequest('closeProducer', { producerId: producer.id }).catch((error) =>
+        log.error('Failed to close screen producer:', error),
+      );
+    }
+  }
+  if (screenStream) screenStream.getTracks().forEach((track) => track.stop());
+
+  const wasSharing = !!screenProducer;
+  screenStream = null;
+  screenProducer = null;
+  screenAudioProducer = null;
+  screenShareBtn.style.background = '';
+  screenShareBtn.title = 'Share Screen';
+  if (wasSharing) updateVideoGrid();
+}
+
+async function consumeScreen(producerId, clientId, kind) {
+  if (clientId === myClientId) return;
+
+  try {
+    const { id, rtpParameters, score } = await socketRequest('subscribe', {
+      transportId: recvTransport.id,
+      producerId,
+      rtpCapabilities: device.rtpCapabilities,
+    });
+    const consumer = await recvTransport.consume({
+      id,
+      producerId,
+      kind,
+      rtpParameters,
+      appData: { clientId, score, source: kind === 'video' ? 'screen' : 'screen-audio' },
+    });
+    consumers.set(id, consumer);
+    await socketRequest('resumeConsumer', { consumerId: id });
+
+    if (!participants.has(clientId)) {
+      participants.set(clientId, {});
+    }
+    const participant = participants.get(clientId);
+    if (kind === 'video') {
+      participant.screenConsumer = consumer;
+      participant.screenTrack = consumer.track;
+      updateVideoGrid();
+    } else {
+      const audio = new Audio();
+      audio.autoplay = true;
+      audio.srcObject = new MediaStream([consumer.track]);
+      audio.play().catch((error) => log.warn('Screen audio waits for a click:', error));
+      participant.screenAudio = audio;
+      participant.screenAudioConsumer = consumer;
+    }
+    log.info(`Receiving screen ${kind} from`, clientId);
+  } catch (error) {
+    log.error('Failed to consume screen share:', error);
+  }
+}
+
+// Whose screen fills the presenter layout: someone else's before our own
+function getPresenter() {
+  for (const [clientId, participant] of participants.entries()) {
+    if (clientId !== myClientId && participant.screenTrack) {
+      return { clientId, track: participant.screenTrack };
+    }
+  }
+  if (screenProducer) {
+    return { clientId: myClientId, track: screenProducer.track };
+  }
+  return null;
+}
+
+function createScreenTile({ clientId, track }) {
+  const tile = document.createElement('div');
+  tile.className = 'video-tile screen-tile';
+  tile.id = `screen-tile-${clientId}`;
+
+  const name =
+    clientId === myClientId
+      ? 'You are presenting'
+      : `${participants.get(clientId)?.displayName || `User ${clientId.substring(0, 8)}`} is presenting`;
+
+  const video = document.createElement('video');
+  video.autoplay = true;
+  video.playsInline = true;
+  video.muted = true; // Screen audio plays through its own element
+  video.srcObject = new MediaStream([track]);
+  tile.appendChild(video);
+
+  const label = document.createElement('div');
+  label.className = 'participant-name';
+  label.textContent = name;
+  tile.appendChild(label);
+  return tile;
+}
+
 async function consumeAudio(producerId, clientId) {
   // Safety check: Never consume your own audio (prevent echo)
   if (clientId === myClientId) {
-    console.log('  ⚠️ SKIP: Not consuming own producer (clientId:', clientId, '=== myClientId:', myClientId, ')');
+    log.info('SKIP: Not consuming own producer (clientId:', clientId, '=== myClientId:', myClientId, ')');
     return;
   }
 
   try {
-    console.log(
-      '  🔊 CONSUME: Consuming audio from OTHER user:',
+    log.info(
+      'CONSUME: Consuming audio from OTHER user:',
       clientId,
       '(Producer:',
       producerId,
       ')',
     );
-    console.log('  🔊 CONSUME: Using transport:', recvTransport.id);
+    log.info('CONSUME: Using transport:', recvTransport.id);
 
     const consumeParams = {
       transportId: recvTransport.id,
       producerId,
       rtpCapabilities: device.rtpCapabilities,
     };
-    console.log('  🔊 CONSUME: Params:', consumeParams);
+    log.info('CONSUME: Params:', consumeParams);
 
-    const { id, kind, rtpParameters } = await socketRequest(
-      'consume',
+    const { id, kind, rtpParameters, score } = await socketRequest(
+      'subscribe',
       consumeParams,
     );
-    console.log('  ✅ CONSUME: Got consumer params:', { id, kind, producerId });
+    log.info('CONSUME: Got consumer params:', { id, kind, producerId });
 
     const consumer = await recvTransport.consume({
       id,
       producerId,
       kind,
       rtpParameters,
+      appData: { clientId, score },
     });
-    console.log('  ✅ CONSUME: Consumer created:', consumer.id);
-    console.log('  🔊 CONSUME: Consumer track:', {
+    log.info('CONSUME: Consumer created:', consumer.id);
+    log.info('CONSUME: Consumer track:', {
       id: consumer.track.id,
       kind: consumer.track.kind,
       enabled: consumer.track.enabled,
@@ -611,7 +1355,7 @@ async function consumeAudio(producerId, clientId) {
 
     consumers.set(id, consumer);
     
-    console.log('  📊 Consumer details:', {
+    log.info('Consumer details:', {
       id: consumer.id,
       kind: consumer.kind,
       paused: consumer.paused,
@@ -620,13 +1364,13 @@ async function consumeAudio(producerId, clientId) {
     });
 
     // Resume consumer
-    console.log('  ▶️ CONSUME: Resuming consumer...');
+    log.info('CONSUME: Resuming consumer...');
     await socketRequest('resumeConsumer', { consumerId: id });
-    console.log('  ✅ CONSUME: Consumer resumed');
-    console.log('  📊 After resume - paused:', consumer.paused, 'producerPaused:', consumer.producerPaused);
+    log.info('CONSUME: Consumer resumed');
+    log.info('After resume - paused:', consumer.paused, 'producerPaused:', consumer.producerPaused);
 
     // Create audio element and play
-    console.log('  🔊 CONSUME: Creating audio element...');
+    log.info('CONSUME: Creating audio element...');
     const stream = new MediaStream([consumer.track]);
     
     // Create and configure audio element
@@ -640,28 +1384,32 @@ async function consumeAudio(producerId, clientId) {
     // Don't add to DOM - we only use Web Audio API for playback
     audio.style.display = 'none';
     
-    console.log('  🔊 CONSUME: Audio element created and added to DOM');
-    console.log('  🔊 CONSUME: Stream active:', stream.active);
-    console.log('  🔊 CONSUME: Track count:', stream.getTracks().length);
+    log.info('CONSUME: Audio element created and added to DOM');
+    log.info('CONSUME: Stream active:', stream.active);
+    log.info('CONSUME: Track count:', stream.getTracks().length);
     
+    // Whatever needs tearing down later is kept on the participant
+    if (!participants.has(clientId)) participants.set(clientId, {});
+    const participant = participants.get(clientId);
+
     // CRITICAL FIX: Route through Web Audio API directly to speakers!
     try {
       const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-      console.log('  🔊 Creating AudioContext, state:', audioContext.state);
-      console.log('  🔊 AudioContext destination:', audioContext.destination);
-      console.log('  🔊 Stream tracks:', stream.getTracks());
-      console.log('  🔊 Track[0] readyState:', stream.getTracks()[0].readyState);
-      console.log('  🔊 Track[0] enabled:', stream.getTracks()[0].enabled);
-      console.log('  🔊 Track[0] muted:', stream.getTracks()[0].muted);
+      log.info('Creating AudioContext, state:', audioContext.state);
+      log.info('AudioContext destination:', audioContext.destination);
+      log.info('Stream tracks:', stream.getTracks());
+      log.info('Track[0] readyState:', stream.getTracks()[0].readyState);
+      log.info('Track[0] enabled:', stream.getTracks()[0].enabled);
+      log.info('Track[0] muted:', stream.getTracks()[0].muted);
       
       if (audioContext.state === 'suspended') {
         await audioContext.resume();
-        console.log('  ✅ AudioContext resumed to:', audioContext.state);
+        log.info('AudioContext resumed to:', audioContext.state);
       }
       
       // Create source from stream
       const source = audioContext.createMediaStreamSource(stream);
-      console.log('  ✅ MediaStreamSource created:', source);
+      log.info('MediaStreamSource created:', source);
       
       // Create pre-gain (moderate boost)
       const preGain = audioContext.createGain();
@@ -685,16 +1433,14 @@ async function consumeAudio(producerId, clientId) {
       compressor.connect(postGain);
       postGain.connect(audioContext.destination);
       
-      console.log('  ✅ Audio chain connected:');
-      console.log('    Source -> PreGain(3x) -> Compressor -> PostGain(2x) -> Speakers');
-      console.log('  🔊 ✅ HIGH QUALITY AUDIO ROUTING COMPLETE!');
+      log.info('Audio chain connected:');
+      log.info('Source -> PreGain(3x) -> Compressor -> PostGain(2x) -> Speakers');
+      log.info('HIGH QUALITY AUDIO ROUTING COMPLETE!');
       
       // Store for cleanup
-      if (participants.has(clientId)) {
-        participants.get(clientId).audioContext = audioContext;
-        participants.get(clientId).audioSource = source;
-        participants.get(clientId).gainNode = postGain; // Store post-gain for volume control
-      }
+      participant.audioContext = audioContext;
+      participant.audioSource = source;
+      participant.gainNode = postGain; // Store post-gain for volume control
       
       // Monitor audio levels in real-time to see if voice is coming through
       const analyser = audioContext.createAnalyser();
@@ -705,34 +1451,34 @@ async function consumeAudio(producerId, clientId) {
       // Connect analyser AFTER post-gain to monitor final output
       postGain.connect(analyser);
       
-      setInterval(() => {
+      participant.outputLevelInterval = setInterval(() => {
         analyser.getByteFrequencyData(dataArray);
         const average = dataArray.reduce((a, b) => a + b) / dataArray.length;
         const max = Math.max(...dataArray);
         
         if (average > 1 || max > 1) {
-          console.log('  🔊 OUTPUT AUDIO LEVEL:', '█'.repeat(Math.floor(max / 10)), 'avg:', Math.round(average), 'max:', max);
+          log.info('OUTPUT AUDIO LEVEL:', '█'.repeat(Math.floor(max / 10)), 'avg:', Math.round(average), 'max:', max);
         } else {
-          console.log('  🔇 NO AUDIO DATA in output (silence or white noise only)');
+          log.info('NO AUDIO DATA in output (silence or white noise only)');
         }
         
-        console.log('  📊 AudioContext state:', audioContext.state, 'time:', Math.round(audioContext.currentTime));
-        console.log('  📊 Stream active:', stream.active, 'Track readyState:', stream.getTracks()[0].readyState);
+        log.info('AudioContext state:', audioContext.state, 'time:', Math.round(audioContext.currentTime));
+        log.info('Stream active:', stream.active, 'Track readyState:', stream.getTracks()[0].readyState);
       }, 2000);
       
     } catch (e) {
-      console.error('  ❌ Web Audio API failed:', e);
-      console.error('  ❌ Stack:', e.stack);
+      log.error('Web Audio API failed:', e);
+      log.error('Stack:', e.stack);
     }
 
-    console.log('  🔊 CONSUME: Audio element:', {
+    log.info('CONSUME: Audio element:', {
       paused: audio.paused,
       muted: audio.muted,
       volume: audio.volume,
       readyState: audio.readyState,
     });
 
-    console.log('  🔊 CONSUME: Stream info:', {
+    log.info('CONSUME: Stream info:', {
       id: stream.id,
       active: stream.active,
       tracks: stream.getTracks().length,
@@ -742,6 +1488,7 @@ async function consumeAudio(producerId, clientId) {
     try {
       const audioContext = new (window.AudioContext ||
         window.webkitAudioContext)();
+      participant.monitorContext = audioContext;
       const source = audioContext.createMediaStreamSource(stream);
       const analyser = audioContext.createAnalyser();
       analyser.fftSize = 256;
@@ -758,33 +1505,33 @@ async function consumeAudio(producerId, clientId) {
 
         if (average > 0 || max > 0) {
           if (!audioDetected) {
-            console.log(
-              '  🎵 AUDIO DETECTED! Average:',
+            log.info(
+              'AUDIO DETECTED! Average:',
               Math.round(average),
               'Max:',
               max,
             );
-            console.log('  🔊 Audio element status:', {
+            log.info('Audio element status:', {
               paused: audio.paused,
               muted: audio.muted,
               volume: audio.volume,
               currentTime: audio.currentTime,
               readyState: audio.readyState,
             });
-            console.log('  🔊 Consumer track status:', {
+            log.info('Consumer track status:', {
               enabled: consumer.track.enabled,
               muted: consumer.track.muted,
               readyState: consumer.track.readyState,
             });
-            console.log('  🔊 Stream active:', stream.active);
+            log.info('Stream active:', stream.active);
             audioDetected = true;
           }
           silenceCount = 0;
 
           // Log audio level periodically
           if (Math.random() < 0.05) {
-            console.log(
-              '  📊 Receiving Audio - avg:',
+            log.info(
+              'Receiving Audio - avg:',
               Math.round(average),
               'max:',
               max,
@@ -794,8 +1541,8 @@ async function consumeAudio(producerId, clientId) {
         } else {
           silenceCount++;
           if (silenceCount === 10) {
-            console.log('  🔇 Silence detected');
-            console.log('  🔍 Audio element:', {
+            log.info('Silence detected');
+            log.info('Audio element:', {
               paused: audio.paused,
               volume: audio.volume,
               muted: audio.muted,
@@ -808,83 +1555,74 @@ async function consumeAudio(producerId, clientId) {
       const levelCheckInterval = setInterval(checkAudioLevel, 100);
 
       // Store interval for cleanup
-      if (!participants.has(clientId)) {
-        participants.set(clientId, {
-          audio,
-          consumerId: id,
-          levelCheckInterval,
-        });
-      } else {
-        const participant = participants.get(clientId);
-        participant.audio = audio;
-        participant.consumerId = id;
-        participant.levelCheckInterval = levelCheckInterval;
-      }
+      participant.audio = audio;
+      participant.consumerId = id;
+      participant.levelCheckInterval = levelCheckInterval;
 
-      console.log('  ✅ CONSUME: Audio level monitoring enabled');
+      log.info('CONSUME: Audio level monitoring enabled');
     } catch (e) {
-      console.warn('  ⚠️ CONSUME: Could not set up audio monitoring:', e);
+      log.warn('CONSUME: Could not set up audio monitoring:', e);
     }
 
     audio.onloadedmetadata = () => {
-      console.log('  ✅ CONSUME: Audio metadata loaded');
+      log.info('CONSUME: Audio metadata loaded');
     };
 
     audio.onplay = () => {
-      console.log('  ▶️ CONSUME: Audio started playing!');
+      log.info('CONSUME: Audio started playing!');
     };
 
     audio.onpause = () => {
-      console.log('  ⏸️ CONSUME: Audio paused');
+      log.info('CONSUME: Audio paused');
     };
 
     audio.onerror = (e) => {
-      console.error('  ❌ CONSUME: Audio error:', e, audio.error);
+      log.error('CONSUME: Audio error:', e, audio.error);
     };
 
     audio.onvolumechange = () => {
-      console.log('  🔊 CONSUME: Volume changed to:', audio.volume);
+      log.info('CONSUME: Volume changed to:', audio.volume);
     };
 
     // Track events
     consumer.track.onended = () => {
-      console.log('  ⚠️ CONSUME: Track ended');
+      log.info('CONSUME: Track ended');
     };
 
     consumer.track.onmute = () => {
-      console.log('  🔇 CONSUME: Track muted');
+      log.info('CONSUME: Track muted');
     };
 
     consumer.track.onunmute = () => {
-      console.log('  🔊 CONSUME: Track unmuted');
+      log.info('CONSUME: Track unmuted');
     };
 
     // Force play with proper timing
     setTimeout(() => {
-      console.log('  🔊 CONSUME: Attempting to play audio...');
+      log.info('CONSUME: Attempting to play audio...');
       const playPromise = audio.play();
       
       if (playPromise !== undefined) {
         playPromise
           .then(() => {
-            console.log('  ✅ CONSUME: Audio playing successfully!');
-            console.log('  🔊 Audio element in DOM:', document.body.contains(audio));
-            console.log('  🔊 Audio paused:', audio.paused, 'Volume:', audio.volume);
+            log.info('CONSUME: Audio playing successfully!');
+            log.info('Audio element in DOM:', document.body.contains(audio));
+            log.info('Audio paused:', audio.paused, 'Volume:', audio.volume);
           })
           .catch((e) => {
-            console.warn('  ⚠️ CONSUME: Autoplay blocked:', e.message);
-            console.log('  💡 Click anywhere on the page to enable audio');
+            log.warn('CONSUME: Autoplay blocked:', e.message);
+            log.info('Click anywhere on the page to enable audio');
             
             // Try to play on any user interaction
             const tryPlay = () => {
-              console.log('  🔊 User clicked, trying to play audio...');
+              log.info('User clicked, trying to play audio...');
               audio.play()
                 .then(() => {
-                  console.log('  ✅ Audio started after user interaction!');
+                  log.info('Audio started after user interaction!');
                   document.removeEventListener('click', tryPlay);
                 })
                 .catch(err => {
-                  console.error('  ❌ Still failed:', err.message);
+                  log.error('Still failed:', err.message);
                 });
             };
             document.addEventListener('click', tryPlay);
@@ -900,8 +1638,8 @@ async function consumeAudio(producerId, clientId) {
       participants.get(clientId).consumerId = id;
     }
 
-    console.log(
-      '  ✅ CONSUME: Complete! Consumer:',
+    log.info(
+      'CONSUME: Complete! Consumer:',
       id,
       'for producer:',
       producerId,
@@ -909,39 +1647,16 @@ async function consumeAudio(producerId, clientId) {
 
     // Add event listeners for debugging
     consumer.on('trackended', () => {
-      console.log('  ⚠️ CONSUME: Consumer track ended:', id);
+      log.info('CONSUME: Consumer track ended:', id);
     });
 
     consumer.on('transportclose', () => {
-      console.log('  ⚠️ CONSUME: Consumer transport closed:', id);
+      log.info('CONSUME: Consumer transport closed:', id);
     });
 
-    // Log stats periodically
-    const statsInterval = setInterval(async () => {
-      try {
-        const stats = await consumer.getStats();
-        stats.forEach((report) => {
-          if (report.type === 'inbound-rtp' && report.kind === 'audio') {
-            console.log('  📊 CONSUME Stats:', {
-              packetsReceived: report.packetsReceived,
-              packetsLost: report.packetsLost,
-              bytesReceived: report.bytesReceived,
-              jitter: report.jitter,
-            });
-          }
-        });
-      } catch (e) {
-        console.error('  ❌ CONSUME: Error getting stats:', e);
-      }
-    }, 5000);
-
-    // Store for cleanup
-    const participant = participants.get(clientId);
-    if (participant) {
-      participant.statsInterval = statsInterval;
-    }
+    updateQualityIndicator(clientId);
   } catch (error) {
-    console.error('  ❌ CONSUME: Failed to consume audio:', error);
+    log.error('CONSUME: Failed to consume audio:', error);
   }
 }
 
@@ -952,10 +1667,29 @@ function toggleMute() {
 
   if (isMuted) {
     audioProducer.pause();
-    console.log('🔇 Microphone muted');
+    log.info('Microphone muted');
   } else {
     audioProducer.resume();
-    console.log('🎤 Microphone unmuted');
+    log.info('Microphone unmuted');
+  }
+  syncProducerState(audioProducer);
+}
+
+// Mirrors the local pause state of a producer on the server so the
+// server-side Producer stops forwarding and peers can show a badge
+async function syncProducerState(producer) {
+  try {
+    await socketRequest(producer.paused ? 'pauseProducer' : 'resumeProducer', {
+      producerId: producer.id,
+    });
+  } catch (error) {
+    log.error('Failed to sync producer state:', error);
+    // Muted by the host: the server keeps it paused, so do we
+    if (error.code === 'FORBIDDEN' && !producer.paused) {
+      if (producer === audioProducer) toggleMicrophone();
+      if (producer === videoProducer) toggleVideo();
+      showStatus('The host muted you, wait for them to unmute you', 'connected');
+    }
   }
 }
 
@@ -968,22 +1702,21 @@ function leaveChannel() {
     videoStream.getTracks().forEach((track) => track.stop());
   }
 
+  stopScreenShare({ notify: false });
+
   // Close transports
   if (sendTransport) sendTransport.close();
   if (recvTransport) recvTransport.close();
 
   // Stop all consumers
-  for (const [, participant] of participants.entries()) {
-    if (participant.audioContext) {
-      participant.audioContext.close();
-    }
-    if (participant.levelCheckInterval) {
-      clearInterval(participant.levelCheckInterval);
-    }
-    if (participant.statsInterval) {
-      clearInterval(participant.statsInterval);
-    }
+  for (const participant of participants.values()) {
+    releaseParticipantAudio(participant);
   }
+  stopMicMonitor();
+
+  if (showStats) toggleStats();
+
+  resetChat();
 
   // Reset state
   audioProducer = null;
@@ -995,6 +1728,10 @@ function leaveChannel() {
   consumers.clear();
   participants.clear();
   currentRoomId = null;
+  sessionId = null;
+  myRole = null;
+  mediaProfile = null;
+  setRecordingState(false);
   isAudioEnabled = true;
   isVideoEnabled = true;
 
@@ -1009,27 +1746,95 @@ function leaveChannel() {
   socket.connect();
 }
 
-function addParticipant(clientId, isMe = false) {
+function addParticipant(clientId, isMe = false, displayName = null) {
   if (!participants.has(clientId)) {
-    participants.set(clientId, {});
+    participants.set(clientId, { audioMuted: false, videoOff: false });
+  }
+  if (displayName) {
+    participants.get(clientId).displayName = displayName;
   }
 
   // Update video grid when participant is added
   updateVideoGrid();
 }
 
-function removeParticipant(clientId) {
+// Records a remote peer's mute / camera-off state and refreshes its tile
+function setRemoteMediaState(clientId, kind, paused) {
+  if (!participants.has(clientId)) {
+    participants.set(clientId, {});
+  }
   const participant = participants.get(clientId);
-  if (participant) {
-    if (participant.audioContext) {
-      participant.audioContext.close();
+  if (kind === 'audio') {
+    participant.audioMuted = paused;
+    updateParticipantBadges(clientId);
+  } else if (kind === 'video') {
+    participant.videoOff = paused;
+    updateVideoGrid();
+  }
+}
+
+function updateParticipantBadges(clientId) {
+  const tile = document.getElementById(`video-tile-${clientId}`);
+  const participant = participants.get(clientId);
+  if (!tile || !participant) return;
+
+  const isMe = clientId === myClientId;
+  const audioMuted = isMe ? !isAudioEnabled : participant.audioMuted;
+  const videoOff = isMe ? !isVideoEnabled : participant.videoOff;
+  const lowBandwidth = participant.videoConsumer?.appData.bandwidthState === 'paused';
+
+  let badges = tile.querySelector('.badges');
+  if (!badges) {
+    badges = document.createElement('div');
+    badges.className = 'badges';
+    tile.appendChild(badges);
+  }
+  badges.innerHTML = `
+    ${audioMuted ? '<span class="badge" title="Muted">🔇</span>' : ''}
+    ${videoOff ? '<span class="badge" title="Camera off">🚫</span>' : ''}
+    ${lowBandwidth && !videoOff ? '<span class="badge" title="Video paused: low bandwidth">🐢</span>' : ''}
+  `;
+}
+
+// Tears down a remote consumer and whatever the participant tile built on it
+function closeConsumer(consumerId) {
+  const consumer = consumers.get(consumerId);
+  if (!consumer) return;
+
+  consumer.close();
+  consumers.delete(consumerId);
+
+  for (const [clientId, participant] of participants.entries()) {
+    if (participant.screenConsumer === consumer) {
+      participant.screenConsumer = null;
+      participant.screenTrack = null;
+      updateVideoGrid();
     }
-    if (participant.levelCheckInterval) {
-      clearInterval(participant.levelCheckInterval);
+    if (participant.screenAudioConsumer === consumer) {
+      participant.screenAudio.srcObject = null;
+      participant.screenAudio = null;
+      participant.screenAudioConsumer = null;
     }
-    if (participant.statsInterval) {
-      clearInterval(participant.statsInterval);
+    if (participant.videoConsumer === consumer) {
+      participant.videoConsumer = null;
+      participant.videoTrack = null;
+      updateVideoGrid();
     }
+    if (participant.consumerId === consumerId) {
+      releaseParticipantAudio(participant);
+      participant.audio = null;
+      participant.consumerId = null;
+      log.info('Audio consumer removed for', clientId);
+    }
+  }
+  updateQualityIndicator(consumer.appData.clientId);
+}
+
+function removeParticipant(clientId) {
+  const participant = participants.get(clientId);
+  if (participant) {
+    if (participant.screenAudio) participant.screenAudio.srcObject = null;
+    releaseParticipantAudio(participant);
     participants.delete(clientId);
   }
 
@@ -1046,12 +1851,12 @@ function showStatus(message, type) {
 async function consumeVideo(producerId, clientId) {
   // Safety check: Never consume your own video
   if (clientId === myClientId) {
-    console.log('  ⚠️ SKIP: Not consuming own video');
+    log.info('SKIP: Not consuming own video');
     return;
   }
 
   try {
-    console.log('  📹 CONSUME: Consuming video from:', clientId);
+    log.info('CONSUME: Consuming video from:', clientId);
 
     const consumeParams = {
       transportId: recvTransport.id,
@@ -1059,40 +1864,91 @@ async function consumeVideo(producerId, clientId) {
       rtpCapabilities: device.rtpCapabilities,
     };
 
-    const { id, kind, rtpParameters } = await socketRequest('consume', consumeParams);
-    console.log('  ✅ CONSUME: Got video consumer params:', { id, kind });
+    const { id, kind, type, rtpParameters, score } = await socketRequest('subscribe', consumeParams);
+    log.info('CONSUME: Got video consumer params:', { id, kind, type });
 
     const consumer = await recvTransport.consume({
       id,
       producerId,
       kind,
       rtpParameters,
+      appData: { type, clientId, score },
     });
 
     consumers.set(id, consumer);
 
-    // Resume consumer
-    await socketRequest('resumeConsumer', { consumerId: id });
-    console.log('  ✅ CONSUME: Video consumer resumed');
-
     // Add video track to participant
     if (!participants.has(clientId)) {
       participants.set(clientId, {});
     }
     participants.get(clientId).videoTrack = consumer.track;
     participants.get(clientId).videoConsumer = consumer;
+    participants.get(clientId).spatialLayer = null; // New consumer, nothing requested yet
 
-    // Update video tile
+    // Update video tile; the consumer stays paused unless the tile is shown
     updateParticipantVideo(clientId);
+    updateVideoLayers();
+    updateQualityIndicator(clientId);
+    syncVideoSubscriptions();
 
   } catch (error) {
-    console.error('  ❌ Failed to consume video:', error);
+    log.error('Failed to consume video:', error);
+  }
+}
+
+// Remote tile that should get full quality: the one the user pinned, else
+// whoever is talking, else the only other participant
+function getFocusedClientId() {
+  if (pinnedClientId && participants.has(pinnedClientId)) return pinnedClientId;
+  if (activeSpeakerId && activeSpeakerId !== myClientId && participants.has(activeSpeakerId)) {
+    return activeSpeakerId;
+  }
+
+  const remoteIds = Array.from(participants.keys()).filter((id) => id !== myClientId);
+  return remoteIds.length === 1 ? remoteIds[0] : null;
+}
+
+// Marks tiles of participants whose audio is above the speaking threshold,
+// without rebuilding the grid
+function updateSpeakingIndicators(levels) {
+  const speaking = new Set(
+    levels.filter(({ volume }) => volume > SPEAKING_VOLUME_DB).map(({ clientId }) => clientId),
+  );
+  for (const clientId of participants.keys()) {
+    const tile = document.getElementById(`video-tile-${clientId}`);
+    if (tile) tile.classList.toggle('speaking', speaking.has(clientId));
+  }
+}
+
+// Asks the server for the top spatial layer on the focused tile and the
+// smallest one on thumbnails. Only simulcast / SVC consumers have layers.
+function updateVideoLayers() {
+  const focusedId = getFocusedClientId();
+
+  for (const [clientId, participant] of participants.entries()) {
+    const consumer = participant.videoConsumer;
+    if (!consumer || consumer.closed) continue;
+    if (consumer.appData.type !== 'simulcast' && consumer.appData.type !== 'svc') continue;
+
+    const spatialLayer = clientId === focusedId ? 2 : 0;
+    if (participant.spatialLayer === spatialLayer) continue;
+    participant.spatialLayer = spatialLayer;
+
+    log.info(`Requesting spatial layer ${spatialLayer} for`, clientId);
+    socketRequest('setPreferredLayers', {
+      consumerId: consumer.id,
+      spatialLayer,
+      temporalLayer: 2,
+    }).catch((error) => {
+      log.error('Failed to set preferred layers:', error);
+      participant.spatialLayer = null;
+    });
   }
 }
 
 function updateParticipantVideo(clientId) {
   const participant = participants.get(clientId);
-  if (!participant || !participant.videoTrack) return;
+  if (!participant || !participant.videoTrack || participant.videoOff) return;
 
   const tile = document.getElementById(`video-tile-${clientId}`);
   if (!tile) return;
@@ -1110,6 +1966,12 @@ function updateParticipantVideo(clientId) {
   video.srcObject = new MediaStream([participant.videoTrack]);
 }
 
+function applyHostMute(kind) {
+  if (kind === 'audio' && isAudioEnabled) toggleMicrophone();
+  if (kind === 'video' && isVideoEnabled) toggleVideo();
+  showStatus(`Your ${kind === 'audio' ? 'microphone' : 'camera'} was turned off by the host`, 'connected');
+}
+
 function toggleMicrophone() {
   if (audioProducer) {
     isAudioEnabled = !isAudioEnabled;
@@ -1117,13 +1979,15 @@ function toggleMicrophone() {
       audioProducer.resume();
       toggleMicBtn.textContent = '🎤';
       toggleMicBtn.style.background = '';
-      console.log('🎤 Microphone enabled');
+      log.info('Microphone enabled');
     } else {
       audioProducer.pause();
       toggleMicBtn.textContent = '🔇';
       toggleMicBtn.style.background = '#ea4335';
-      console.log('🔇 Microphone muted');
+      log.info('Microphone muted');
     }
+    syncProducerState(audioProducer);
+    updateParticipantBadges(myClientId);
   }
 }
 
@@ -1134,49 +1998,298 @@ function toggleVideo() {
       videoProducer.resume();
       toggleVideoBtn.textContent = '📹';
       toggleVideoBtn.style.background = '';
-      console.log('📹 Video enabled');
+      log.info('Video enabled');
     } else {
       videoProducer.pause();
       toggleVideoBtn.textContent = '🚫';
       toggleVideoBtn.style.background = '#ea4335';
-      console.log('📹 Video disabled');
+      log.info('Video disabled');
+    }
+    syncProducerState(videoProducer);
+    updateVideoGrid();
+  }
+}
+
+let isRecording = false;
+
+async function toggleRecording() {
+  recordBtn.disabled = true;
+  try {
+    await socketRequest(isRecording ? 'stopRecording' : 'startRecording');
+  } catch (error) {
+    log.error('Recording request failed:', error);
+  } finally {
+    recordBtn.disabled = false;
+  }
+}
+
+function setRecordingState(recording) {
+  isRecording = recording;
+  recordingIndicator.classList.toggle('active', recording);
+  recordBtn.textContent = recording ? '⏹️' : '⏺️';
+  recordBtn.title = recording ? 'Stop Recording' : 'Start Recording';
+  recordBtn.style.background = recording ? '#ea4335' : '';
+}
+
+// Consumer stats overlay
+let showStats = false;
+let statsTimer = null;
+const STATS_INTERVAL_MS = 2000;
+const tileStats = new Map(); // clientId -> lines shown in the overlay
+const lastInbound = new Map(); // consumerId -> { bytesReceived, timestamp }
+
+function toggleStats() {
+  showStats = !showStats;
+  statsBtn.style.background = showStats ? '#1a73e8' : '';
+  clearInterval(statsTimer);
+  statsTimer = null;
+  tileStats.clear();
+  lastInbound.clear();
+
+  if (showStats) {
+    collectStats();
+    statsTimer = setInterval(collectStats, STATS_INTERVAL_MS);
+  }
+  renderStats();
+}
+
+// Worst of the SFU -> us and sender -> SFU scores over a peer's consumers,
+// 0 (bad) to 10 (perfect), or null before any score came in
+function getQuality(clientId) {
+  let quality = null;
+  for (const consumer of consumers.values()) {
+    if (consumer.closed || consumer.appData.clientId !== clientId) continue;
+    const score = consumer.appData.score;
+    if (!score) continue;
+    const worst = Math.min(score.score, score.producerScore);
+    quality = quality === null ? worst : Math.min(quality, worst);
+  }
+  return quality;
+}
+
+function updateQualityIndicator(clientId) {
+  const tile = document.getElementById(`video-tile-${clientId}`);
+  if (!tile || clientId === myClientId) return;
+
+  const quality = getQuality(clientId);
+  let indicator = tile.querySelector('.quality');
+  if (quality === null) {
+    indicator?.remove();
+    return;
+  }
+  if (!indicator) {
+    indicator = document.createElement('div');
+    indicator.innerHTML = '<span></span><span></span><span></span>';
+    tile.appendChild(indicator);
+  }
+  const level = quality >= 8 ? 'good' : quality >= 5 ? 'fair' : 'poor';
+  indicator.className = `quality ${level}`;
+  indicator.title = `Connection quality: ${quality}/10`;
+}
+
+async function collectStats() {
+  for (const clientId of participants.keys()) {
+    if (clientId === myClientId) continue;
+
+    const lines = [];
+    for (const consumer of consumers.values()) {
+      if (consumer.closed || consumer.appData.clientId !== clientId) continue;
+      try {
+        lines.push(await describeConsumer(consumer));
+      } catch (error) {
+        log.warn('Failed to get consumer stats:', error);
+      }
+    }
+    tileStats.set(clientId, lines);
+  }
+  renderStats();
+}
+
+// One overlay line: browser receive stats plus the SFU's view of the link
+async function describeConsumer(consumer) {
+  const [report, server] = await Promise.all([
+    consumer.getStats(),
+    socketRequest('getConsumerStats', { consumerId: consumer.id }),
+  ]);
+  const reports = Array.from(report.values());
+  const inbound = reports.find((entry) => entry.type === 'inbound-rtp');
+  if (!inbound) return `${consumer.kind}: waiting for media`;
+
+  const codec = reports.find((entry) => entry.id === inbound.codecId);
+  const previous = lastInbound.get(consumer.id);
+  lastInbound.set(consumer.id, {
+    bytesReceived: inbound.bytesReceived,
+    timestamp: inbound.timestamp,
+  });
+  const bitrate = previous
+    ? ((inbound.bytesReceived - previous.bytesReceived) * 8) /
+      ((inbound.timestamp - previous.timestamp) / 1000)
+    : 0;
+  const expected = inbound.packetsReceived + inbound.packetsLost;
+  const loss = expected ? (inbound.packetsLost / expected) * 100 : 0;
+
+  const parts = [
+    consumer.kind,
+    codec ? codec.mimeType.split('/')[1] : '?',
+    `${Math.round(bitrate / 1000)} kbps`,
+    `loss ${loss.toFixed(1)}%`,
+    `jitter ${Math.round((inbound.jitter || 0) * 1000)} ms`,
+  ];
+  if (server.roundTripTime !== null) {
+    parts.push(`rtt ${Math.round(server.roundTripTime)} ms`);
+  }
+  if (inbound.frameWidth) {
+    parts.push(`${inbound.frameWidth}x${inbound.frameHeight}`);
+  }
+  if (server.layers) {
+    parts.push(`S${server.layers.spatialLayer}T${server.layers.temporalLayer ?? 0}`);
+  }
+  return parts.join(' · ');
+}
+
+function renderStats() {
+  for (const clientId of participants.keys()) {
+    const tile = document.getElementById(`video-tile-${clientId}`);
+    if (!tile) continue;
+
+    let overlay = tile.querySelector('.stats-overlay');
+    const lines = tileStats.get(clientId);
+    if (!showStats || !lines || !lines.length) {
+      overlay?.remove();
+      continue;
+    }
+    if (!overlay) {
+      overlay = document.createElement('div');
+      overlay.className = 'stats-overlay';
+      tile.appendChild(overlay);
+    }
+    overlay.textContent = lines.join('\n');
+  }
+}
+
+// Large rooms are shown a page of tiles at a time
+const TILES_PER_PAGE = 9;
+let gridPage = 0;
+
+function changeGridPage(delta) {
+  gridPage += delta;
+  updateVideoGrid();
+}
+
+// Only tiles on the current page of a visible tab receive camera video, the
+// consumers of all others are paused on the server
+function syncVideoSubscriptions() {
+  for (const [clientId, participant] of participants.entries()) {
+    const consumer = participant.videoConsumer;
+    if (!consumer || consumer.closed) continue;
+
+    const shown = !document.hidden && !!document.getElementById(`video-tile-${clientId}`);
+    setConsumerActive(consumer, shown);
+  }
+}
+
+async function setConsumerActive(consumer, active) {
+  if (consumer.appData.active === active) return;
+  consumer.appData.active = active;
+
+  try {
+    if (active) {
+      consumer.resume();
+      await socketRequest('resumeConsumer', { consumerId: consumer.id });
+    } else {
+      consumer.pause();
+      await socketRequest('pauseConsumer', { consumerId: consumer.id });
     }
-    updateParticipantVideo(myClientId);
+  } catch (error) {
+    log.error('Failed to change consumer state:', error);
+    consumer.appData.active = undefined; // Try again on the next sync
   }
 }
 
+document.addEventListener('visibilitychange', syncVideoSubscriptions);
+
 function updateVideoGrid() {
   // Clear grid
   videoGrid.innerHTML = '';
 
-  const participantArray = Array.from(participants.entries());
+  const allParticipants = Array.from(participants.entries());
+
+  // The dominant speaker goes first and, with 3+ tiles, gets a bigger tile
+  const speakerIndex = allParticipants.findIndex(([clientId]) => clientId === activeSpeakerId);
+  if (speakerIndex > 0) {
+    allParticipants.unshift(...allParticipants.splice(speakerIndex, 1));
+  }
+
+  const pageCount = Math.max(1, Math.ceil(allParticipants.length / TILES_PER_PAGE));
+  gridPage = Math.min(Math.max(gridPage, 0), pageCount - 1);
+  const participantArray = allParticipants.slice(
+    gridPage * TILES_PER_PAGE,
+    (gridPage + 1) * TILES_PER_PAGE,
+  );
   const count = participantArray.length;
 
-  // Update grid class for layout
+  gridPager.style.display = pageCount > 1 ? '' : 'none';
+  pageLabel.textContent = `${gridPage + 1} / ${pageCount}`;
+  prevPageBtn.disabled = gridPage === 0;
+  nextPageBtn.disabled = gridPage === pageCount - 1;
+
+  // A shared screen takes the stage and the cameras move to a strip beside
+  // it, otherwise the tiles share a grid sized by their count
+  const presenter = getPresenter();
+  let tileContainer = videoGrid;
   videoGrid.className = 'video-grid';
-  videoGrid.classList.add(`count-${count}`);
+  if (presenter) {
+    videoGrid.classList.add('presenter');
+    videoGrid.appendChild(createScreenTile(presenter));
+    tileContainer = document.createElement('div');
+    tileContainer.className = 'camera-strip';
+    videoGrid.appendChild(tileContainer);
+  } else {
+    videoGrid.classList.add(`count-${count}`);
+  }
 
   // Create video tiles
   participantArray.forEach(([clientId, participant]) => {
     const tile = document.createElement('div');
     tile.className = 'video-tile';
     tile.id = `video-tile-${clientId}`;
+    if (clientId === pinnedClientId) tile.classList.add('pinned');
+    if (clientId === activeSpeakerId) {
+      tile.classList.add('active-speaker');
+      if (count > 2 && !presenter) tile.classList.add('enlarged');
+    }
 
-    const isMe = (clientId === myClientId);
-    const name = isMe ? 'You' : `User ${clientId.substring(0, 8)}`;
-
-    // Default no-video view
-    tile.innerHTML = `
-      <div class="no-video">
-        <div class="no-video-avatar">${name.charAt(0).toUpperCase()}</div>
-      </div>
-      <div class="participant-name">${name}</div>
-    `;
+    // Click a remote tile to pin it in high quality, click again to unpin
+    if (clientId !== myClientId) {
+      tile.onclick = () => {
+        pinnedClientId = pinnedClientId === clientId ? null : clientId;
+        updateVideoGrid();
+      };
+    }
 
-    videoGrid.appendChild(tile);
+    const isMe = (clientId === myClientId);
+    const name = isMe
+      ? 'You'
+      : participant.displayName || `User ${clientId.substring(0, 8)}`;
+
+    // Default no-video view; the name comes from other users, keep it text
+    const noVideo = document.createElement('div');
+    noVideo.className = 'no-video';
+    const avatar = document.createElement('div');
+    avatar.className = 'no-video-avatar';
+    avatar.textContent = name.charAt(0).toUpperCase();
+    noVideo.appendChild(avatar);
+    tile.appendChild(noVideo);
+
+    const label = document.createElement('div');
+    label.className = 'participant-name';
+    label.textContent = name;
+    tile.appendChild(label);
+
+    tileContainer.appendChild(tile);
 
     // If this is me, show my camera
-    if (isMe && videoStream) {
+    if (isMe && videoStream && isVideoEnabled) {
       const video = document.createElement('video');
       video.autoplay = true;
       video.playsInline = true;
@@ -1186,10 +2299,17 @@ function updateVideoGrid() {
       tile.insertBefore(video, tile.querySelector('.participant-name'));
     }
     // If this is someone else and they have video, it will be added when consumed
-    else if (participant.videoTrack) {
+    else if (!isMe && participant.videoTrack && !participant.videoOff) {
       updateParticipantVideo(clientId);
     }
+
+    updateParticipantBadges(clientId);
+    updateQualityIndicator(clientId);
   });
 
-  console.log(`📹 Video grid updated with ${count} participants`);
+  updateVideoLayers();
+  syncVideoSubscriptions();
+  if (showStats) renderStats();
+
+  log.info(`Video grid page ${gridPage + 1}/${pageCount} shows ${count} of ${allParticipants.length} participants`);
 }
@@ -0,0 +1,12 @@
+// Tiny console logger for the client. Off unless the page is opened with
+// ?debug=1; errors are always printed.
+const enabled = new URLSearchParams(location.search).get('debug') === '1';
+
+const noop = () => {};
+
+export const log = {
+  debug: enabled ? console.debug.bind(console) : noop,
+  info: enabled ? console.info.bind(console) : noop,
+  warn: enabled ? console.warn.bind(console) : noop,
+  error: console.error.bind(console),
+};
@@ -0,0 +1,11 @@
+import { Module } from '@nestjs/common';
+import { AuthModule } from 'src/auth/auth.module';
+import { RoomsModule } from 'src/rooms/rooms.module';
+import { SignalingModule } from 'src/signaling/signaling.module';
+import { RoomsController } from './rooms.controller';
+
+@Module({
+  imports: [AuthModule, RoomsModule, SignalingModule],
+  controllers: [RoomsController],
+})
+export class AdminModule {}
@@ -0,0 +1,8 @@
+import { IsIn, IsOptional } from 'class-validator';
+
+export class MuteParticipantDto {
+  // Defaults to the microphone
+  @IsOptional()
+  @IsIn(['audio', 'video'])
+  kind?: 'audio' | 'video';
+}
@@ -0,0 +1,105 @@
+import {
+  Body,
+  Controller,
+  Delete,
+  Get,
+  HttpCode,
+  NotFoundException,
+  Param,
+  Post,
+  Req,
+  UseGuards,
+  UsePipes,
+  ValidationPipe,
+} from '@nestjs/common';
+import { Request } from 'express';
+import { AuthService, AuthUser } from '../auth/auth.service';
+import { RoomHostGuard } from '../auth/room-host.guard';
+import { RoomService } from '../rooms/room.service';
+import { SignalingGateway } from '../signaling/signaling.gateway';
+import { MuteParticipantDto } from './dto/mute-participant.dto';
+
+// Operator view of the live rooms. Reads come from the room service, actions
+// go through the gateway so it can notify the affected clients.
+@Controller('rooms')
+@UseGuards(RoomHostGuard)
+@UsePipes(new ValidationPipe({ transform: true, whitelist: true }))
+export class RoomsController {
+  constructor(
+    private readonly gateway: SignalingGateway,
+    private readonly rooms: RoomService,
+    private readonly auth: AuthService,
+  ) {}
+
+  @Get()
+  async listRooms(@Req() req: Request & { user: AuthUser }) {
+    const rooms = await this.rooms.listRooms();
+    return {
+      rooms: rooms.filter((room) => this.auth.canJoin(req.user, room.roomId)),
+    };
+  }
+
+  @Get(':roomId')
+  getRoom(@Param('roomId') roomId: string) {
+    const room = this.rooms.getRoomDetails(roomId);
+    if (!room) {
+      throw new NotFoundException(`Room ${roomId} not found`);
+    }
+    return room;
+  }
+
+  @Delete(':roomId')
+  closeRoom(@Param('roomId') roomId: string) {
+    if (!this.gateway.closeRoom(roomId)) {
+      throw new NotFoundException(`Room ${roomId} not found`);
+    }
+    return { closed: true };
+  }
+
+  @Delete(':roomId/participants/:clientId')
+  kickParticipant(
+    @Param('roomId') roomId: string,
+    @Param('clientId') clientId: string,
+  ) {
+    if (!this.gateway.kickParticipant(roomId, clientId)) {
+      throw new NotFoundException(`${clientId} is not in room ${roomId}`);
+    }
+    return { kicked: true };
+  }
+
+  @Post(':roomId/participants/:clientId/mute')
+  @HttpCode(200)
+  async muteParticipant(
+    @Param('roomId') roomId: string,
+    @Param('clientId') clientId: string,
+    @Body() body: MuteParticipantDto,
+  ) {
+    const pausedProducerIds = await this.gateway.muteParticipant(
+      roomId,
+      clientId,
+      body.kind || 'audio',
+    );
+    if (!pausedProducerIds) {
+      throw new NotFoundException(`${clientId} is not in room ${roomId}`);
+    }
+    return { muted: true, producerIds: pausedProducerIds };
+  }
+
+  @Post(':roomId/participants/:clientId/unmute')
+  @HttpCode(200)
+  unmuteParticipant(
+    @Param('roomId') roomId: string,
+    @Param('clientId') clientId: string,
+    @Body() body: MuteParticipantDto,
+  ) {
+    const producerIds = this.gateway.unmuteParticipant(
+      roomId,
+      clientId,
+      body.kind || 'audio',
+    );
+    if (!producerIds) {
+      throw new NotFoundException(`${clientId} is not in room ${roomId}`);
+    }
+    return { unmuted: true, producerIds };
+  }
+}
@@ -1,9 +1,22 @@
-import { Controller, Get, Res } from '@nestjs/common';
+import {
+  BadRequestException,
+  Body,
+  Controller,
+  Get,
+  NotFoundException,
+  Post,
+  Res,
+} from '@nestjs/common';
 import { Response } from 'express';
+import { randomUUID } from 'crypto';
 import { join } from 'path';
+import { AuthService, ROLES, Role } from './auth/auth.service';
+import { listMediaProfiles } from './mediasoup/media-profiles';
 
 @Controller()
 export class AppController {
+  constructor(private readonly auth: AuthService) {}
+
   @Get()
   serveClient(@Res() res: Response) {
     return res.sendFile(
@@ -15,6 +28,39 @@ export class AppController {
   getConfig() {
     return {
       socketUrl: process.env.PUBLIC_URL || 'http://localhost:3000',
+      devTokens: this.auth.devTokensEnabled,
+      mediaProfiles: listMediaProfiles(), // For the client to pick from
     };
   }
+
+  // Mints unchecked tokens for local testing, only with AUTH_DEV_TOKENS=true
+  @Post('auth/dev-token')
+  async createDevToken(
+    @Body()
+    body: {
+      userId?: string;
+      displayName?: string;
+      rooms?: string[];
+      role?: Role;
+    },
+  ) {
+    if (!this.auth.devTokensEnabled) {
+      throw new NotFoundException();
+    }
+
+    const role = body.role || 'host';
+    if (!ROLES.includes(role)) {
+      throw new BadRequestException(`Unknown role: ${role}`);
+    }
+
+    const userId = body.userId || randomUUID();
+    const token = await this.auth.sign({
+      userId,
+      displayName: body.displayName || `Guest ${userId.substring(0, 4)}`,
+      rooms: body.rooms?.length ? body.rooms : ['*'],
+      role,
+    });
+
+    return { token };
+  }
 }
@@ -2,6 +2,9 @@ import { Module } from '@nestjs/common';
 import { ConfigModule } from '@nestjs/config';
 import { AppController } from './app.controller';
 import { AppService } from './app.service';
+import { AdminModule } from './admin/admin.module';
+import { AuthModule } from './auth/auth.module';
+import { IngestModule } from './ingest/ingest.module';
 import { MediasoupModule } from './mediasoup/mediasoup.module';
 import { SignalingModule } from './signaling/signaling.module';
 
@@ -11,8 +14,11 @@ import { SignalingModule } from './signaling/signaling.module';
       isGlobal: true, // Makes config available throughout the app
       envFilePath: '.env',
     }),
+    AuthModule,
     MediasoupModule,
     SignalingModule,
+    IngestModule,
+    AdminModule,
   ],
   controllers: [AppController],
   providers: [AppService],
@@ -0,0 +1,21 @@
+import { Module } from '@nestjs/common';
+import { JwtModule } from '@nestjs/jwt';
+import { AuthService } from './auth.service';
+import { RoomHostGuard } from './room-host.guard';
+
+@Module({
+  imports: [
+    // Factory so the secret is read after ConfigModule has loaded .env
+    JwtModule.registerAsync({
+      useFactory: () => ({
+        secret: process.env.JWT_SECRET,
+        signOptions: {
+          expiresIn: parseInt(process.env.JWT_EXPIRES_IN) || 12 * 60 * 60, // s
+        },
+      }),
+    }),
+  ],
+  providers: [AuthService, RoomHostGuard],
+  exports: [AuthService, RoomHostGuard],
+})
+export class AuthModule {}
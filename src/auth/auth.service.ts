@@ -0,0 +1,88 @@
+import { Injectable, Logger, OnModuleInit } from '@nestjs/common';
+import { JwtService } from '@nestjs/jwt';
+
+export type Role = 'host' | 'speaker' | 'viewer';
+
+export const ROLES: Role[] = ['host', 'speaker', 'viewer'];
+
+// Identity attached to every authenticated socket (socket.data.user)
+export interface AuthUser {
+  userId: string;
+  displayName: string;
+  rooms: string[]; // Room ids the user may join, '*' for any room
+  role: Role;
+}
+
+interface TokenClaims {
+  sub: string;
+  name: string;
+  rooms: string[];
+  role: Role;
+}
+
+@Injectable()
+export class AuthService implements OnModuleInit {
+  private readonly logger = new Logger(AuthService.name);
+
+  constructor(private readonly jwt: JwtService) {}
+
+  onModuleInit() {
+    if (!process.env.JWT_SECRET) {
+      this.logger.warn(
+        'JWT_SECRET is not set, every connection will be refused',
+      );
+    }
+  }
+
+  get devTokensEnabled() {
+    return process.env.AUTH_DEV_TOKENS === 'true';
+  }
+
+  /**
+   * Verifies the HMAC signature and expiry of a token and returns the user
+   * it describes. Throws when the token is missing, invalid or malformed.
+   */
+  async verify(token: string): Promise<AuthUser> {
+    if (!token) {
+      throw new Error('Missing token');
+    }
+
+    const claims = await this.jwt.verifyAsync<TokenClaims>(token);
+    if (
+      !claims.sub ||
+      !Array.isArray(claims.rooms) ||
+      !ROLES.includes(claims.role)
+    ) {
+      throw new Error('Malformed token claims');
+    }
+
+    return {
+      userId: claims.sub,
+      displayName: claims.name || claims.sub,
+      rooms: claims.rooms,
+      role: claims.role,
+    };
+  }
+
+  sign(user: AuthUser) {
+    const claims: TokenClaims = {
+      sub: user.userId,
+      name: user.displayName,
+      rooms: user.rooms,
+      role: user.role,
+    };
+    return this.jwt.signAsync(claims);
+  }
+
+  canJoin(user: AuthUser, roomId: string) {
+    return user.rooms.includes('*') || user.rooms.includes(roomId);
+  }
+
+  canProduce(user: AuthUser) {
+    return user.role === 'host' || user.role === 'speaker';
+  }
+
+  canRecord(user: AuthUser) {
+    return user.role === 'host';
+  }
+}
@@ -0,0 +1,41 @@
+import {
+  CanActivate,
+  ExecutionContext,
+  ForbiddenException,
+  Injectable,
+  UnauthorizedException,
+} from '@nestjs/common';
+import { Request } from 'express';
+import { AuthService, AuthUser } from './auth.service';
+
+/**
+ * Guards REST endpoints that act on a room: the caller must send
+ * `Authorization: Bearer <token>` for a host allowed in `:roomId`.
+ * The verified user is left on `request.user`.
+ */
+@Injectable()
+export class RoomHostGuard implements CanActivate {
+  constructor(private readonly auth: AuthService) {}
+
+  async canActivate(context: ExecutionContext) {
+    const request = context
+      .switchToHttp()
+      .getRequest<Request & { user?: AuthUser }>();
+    const [scheme, token] = (request.headers.authorization || '').split(' ');
+
+    let user: AuthUser;
+    try {
+      user = await this.auth.verify(scheme === 'Bearer' ? token : undefined);
+    } catch (error) {
+      throw new UnauthorizedException(error.message);
+    }
+
+    const roomId = request.params.roomId as string;
+    if (user.role !== 'host' || (roomId && !this.auth.canJoin(user, roomId))) {
+      throw new ForbiddenException(`Not a host of room ${roomId}`);
+    }
+
+    request.user = user;
+    return true;
+  }
+}
@@ -0,0 +1,30 @@
+import {
+  CanActivate,
+  ExecutionContext,
+  ForbiddenException,
+  Injectable,
+} from '@nestjs/common';
+import { Request } from 'express';
+import { timingSafeEqual } from 'crypto';
+
+// Only other nodes of the cluster, sharing CLUSTER_SECRET, may call /internal
+@Injectable()
+export class ClusterSecretGuard implements CanActivate {
+  canActivate(context: ExecutionContext) {
+    const secret = process.env.CLUSTER_SECRET;
+    const given = context
+      .switchToHttp()
+      .getRequest<Request>()
+      .header('x-cluster-secret');
+
+    if (
+      !secret ||
+      !given ||
+      given.length !== secret.length ||
+      !timingSafeEqual(Buffer.from(given), Buffer.from(secret))
+    ) {
+      throw new ForbiddenException();
+    }
+    return true;
+  }
+}
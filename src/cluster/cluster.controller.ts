@@ -0,0 +1,29 @@
+import { Controller, Get, Param } from '@nestjs/common';
+import { NodeRegistry } from './node-registry.service';
+
+@Controller('cluster')
+export class ClusterController {
+  constructor(private readonly registry: NodeRegistry) {}
+
+  // Public, so without the internal URLs only other nodes should reach
+  @Get('nodes')
+  async listNodes() {
+    const nodes = await this.registry.listNodes();
+    return {
+      nodes: nodes.map(({ nodeId, publicUrl, rooms, peers, updatedAt }) => ({
+        nodeId,
+        publicUrl,
+        rooms,
+        peers,
+        updatedAt,
+      })),
+    };
+  }
+
+  // Lets clients or a load balancer send everyone in a room to the same node
+  @Get('rooms/:roomId')
+  async getRoomNode(@Param('roomId') roomId: string) {
+    const { nodeId, publicUrl } = await this.registry.getRoomNode(roomId);
+    return { roomId, nodeId, socketUrl: publicUrl };
+  }
+}
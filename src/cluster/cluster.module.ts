@@ -0,0 +1,15 @@
+import { Module } from '@nestjs/common';
+import { MediasoupModule } from 'src/mediasoup/mediasoup.module';
+import { RoomsModule } from 'src/rooms/rooms.module';
+import { ClusterController } from './cluster.controller';
+import { ClusterService } from './cluster.service';
+import { InternalController } from './internal.controller';
+import { NodeRegistry } from './node-registry.service';
+
+@Module({
+  imports: [MediasoupModule, RoomsModule],
+  controllers: [ClusterController, InternalController],
+  providers: [ClusterService, NodeRegistry],
+  exports: [ClusterService, NodeRegistry],
+})
+export class ClusterModule {}
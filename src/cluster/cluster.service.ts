@@ -0,0 +1,306 @@
+import { Injectable, Logger, NotFoundException } from '@nestjs/common';
+import { PipeTransport, Producer } from 'mediasoup/node/lib/types';
+import { MediasoupService } from '../mediasoup/mediasoup.service';
+import { RoomService } from '../rooms/room.service';
+import { PipeRequestDto } from './dto/pipe.dto';
+import { NodeInfo, NodeRegistry } from './node-registry.service';
+
+// One room's PipeTransport towards one other node
+interface PipeLink {
+  transport: PipeTransport;
+  remoteTransportId?: string;
+  closedByRemote: boolean; // Skip telling the remote it is gone
+}
+
+interface PipeResponse {
+  transportId: string;
+  ip: string;
+  port: number;
+  kind: 'audio' | 'video';
+  rtpParameters: Producer['rtpParameters'];
+  paused: boolean;
+}
+
+/**
+ * Lets peers on different nodes share a room. Each node has its own router
+ * for the room; a producer is piped into another node's router the first
+ * time a peer there consumes it.
+ *
+ * router.pipeToRouter() only links routers of one process, so this does the
+ * same over the network: both nodes create a PipeTransport per room and
+ * exchange their tuples over /internal, the owner consumes the producer on
+ * its end and the other node produces it with the same id on its end.
+ */
+@Injectable()
+export class ClusterService {
+  private readonly logger = new Logger(ClusterService.name);
+  private links = new Map<string, Promise<PipeLink>>(); // roomId/nodeId -> link
+  private pendingPipes = new Map<string, Promise<Producer | undefined>>(); // producerId -> piped producer
+
+  constructor(
+    private readonly ms: MediasoupService,
+    private readonly rooms: RoomService,
+    private readonly registry: NodeRegistry,
+  ) {}
+
+  /**
+   * Brings a producer living on another node into this node's router for
+   * the room. Undefined when clustering is off or nobody owns the producer.
+   */
+  async pipeRemoteProducer(roomId: string, producerId: string) {
+    if (!this.registry.enabled) return undefined;
+
+    const existing = this.rooms.getRoom(roomId)?.getProducer(producerId);
+    if (existing) return existing;
+
+    if (!this.pendingPipes.has(producerId)) {
+      const pipe = this.pipeFromOwner(roomId, producerId).finally(() =>
+        this.pendingPipes.delete(producerId),
+      );
+      this.pendingPipes.set(producerId, pipe);
+    }
+    return this.pendingPipes.get(producerId);
+  }
+
+  /**
+   * Owner side of a pipe: connects this node's PipeTransport for the room to
+   * the caller's and consumes the producer on it.
+   */
+  async handlePipeRequest(
+    roomId: string,
+    request: PipeRequestDto,
+  ): Promise<PipeResponse> {
+    const room = this.rooms.getRoom(roomId);
+    const owner = room?.getProducerOwner(request.producerId);
+    if (!owner) {
+      throw new NotFoundException(`Producer ${request.producerId} not here`);
+    }
+
+    let link = await this.getLink(roomId, request.nodeId);
+    if (
+      link.remoteTransportId &&
+      link.remoteTransportId !== request.transportId
+    ) {
+      // The caller rebuilt its side (e.g. after a worker crash)
+      link.closedByRemote = true;
+      link.transport.close();
+      link = await this.getLink(roomId, request.nodeId);
+    }
+    if (!link.remoteTransportId) {
+      link.remoteTransportId = request.transportId;
+      await link.transport.connect({ ip: request.ip, port: request.port });
+    }
+
+    const consumer = await link.transport.consume({
+      producerId: request.producerId,
+    });
+
+    // Relay what happens to the producer to the node consuming it
+    const report = (state: 'paused' | 'resumed' | 'closed') =>
+      this.notify(
+        request.nodeId,
+        `/rooms/${roomId}/pipes/${request.producerId}/state`,
+        {
+          state,
+        },
+      );
+    consumer.on('producerpause', () => report('paused'));
+    consumer.on('producerresume', () => report('resumed'));
+    consumer.on('producerclose', () => report('closed'));
+
+    this.logger.log({
+      message: 'Piping producer out',
+      roomId,
+      producerId: request.producerId,
+      nodeId: request.nodeId,
+    });
+    return {
+      transportId: link.transport.id,
+      ip: this.announcedIp,
+      port: link.transport.tuple.localPort,
+      kind: consumer.kind,
+      rtpParameters: consumer.rtpParameters,
+      paused: consumer.producerPaused,
+    };
+  }
+
+  // Consumer side: the owner paused, resumed or closed a piped producer
+  async handleProducerState(
+    roomId: string,
+    producerId: string,
+    state: 'paused' | 'resumed' | 'closed',
+  ) {
+    const producer = this.rooms.getRoom(roomId)?.getProducer(producerId);
+    if (!producer) return;
+
+    if (state === 'closed') producer.close();
+    else if (state === 'paused') await producer.pause();
+    else await producer.resume();
+  }
+
+  // The other node closed its side of the room's pipe
+  async handleLinkClosed(roomId: string, nodeId: string) {
+    const link = await this.links.get(this.linkKey(roomId, nodeId));
+    if (!link) return;
+
+    link.closedByRemote = true;
+    link.transport.close();
+  }
+
+  private async pipeFromOwner(roomId: string, producerId: string) {
+    const metadata = await this.rooms.getProducerMetadata(roomId, producerId);
+    if (!metadata || metadata.nodeId === this.registry.nodeId) return undefined;
+
+    const node = await this.registry.getNode(metadata.nodeId);
+    if (!node) {
+      this.logger.warn({
+        message: 'Node owning the producer is gone',
+        roomId,
+        producerId,
+        nodeId: metadata.nodeId,
+      });
+      return undefined;
+    }
+
+    const link = await this.getLink(roomId, node.nodeId);
+    const response = await this.request<PipeResponse>(
+      node,
+      `/rooms/${roomId}/pipes`,
+      {
+        nodeId: this.registry.nodeId,
+        transportId: link.transport.id,
+        ip: this.announcedIp,
+        port: link.transport.tuple.localPort,
+        producerId,
+      },
+    );
+
+    if (!link.remoteTransportId) {
+      link.remoteTransportId = response.transportId;
+      await link.transport.connect({ ip: response.ip, port: response.port });
+    } else if (link.remoteTransportId !== response.transportId) {
+      // The owner rebuilt its side, ours points at a dead port
+      link.transport.close();
+      throw new Error(`Pipe to ${node.nodeId} was reset, consume again`);
+    }
+
+    const producer = await link.transport.produce({
+      id: producerId,
+      kind: response.kind,
+      rtpParameters: response.rtpParameters,
+      paused: response.paused,
+      appData: {
+        ...metadata.appData,
+        clientId: metadata.clientId,
+        nodeId: node.nodeId,
+      },
+    });
+    this.rooms.getRoom(roomId)?.addRemoteProducer(producer);
+    // Our speaker detection covers the room, not just this node's peers
+    await this.ms.observeProducer(roomId, producer);
+
+    this.logger.log({
+      message: 'Piped producer in',
+      roomId,
+      producerId,
+      nodeId: node.nodeId,
+    });
+    return producer;
+  }
+
+  private getLink(roomId: string, nodeId: string) {
+    const key = this.linkKey(roomId, nodeId);
+    if (!this.links.has(key)) {
+      const link = this.createLink(roomId, nodeId);
+      link.catch(() => this.links.delete(key));
+      this.links.set(key, link);
+    }
+    return this.links.get(key);
+  }
+
+  private async createLink(roomId: string, nodeId: string) {
+    const router = this.ms.getRouter(roomId);
+    const transport = await router.createPipeTransport({
+      listenIp: {
+        ip: process.env.PIPE_LISTEN_IP || '127.0.0.1',
+        announcedIp: this.announcedIp,
+      },
+    });
+    const link: PipeLink = { transport, closedByRemote: false };
+
+    // Closes with the room's router too; the other side must drop its end
+    transport.observer.once('close', () => {
+      const key = this.linkKey(roomId, nodeId);
+      this.links.delete(key);
+      if (!link.closedByRemote) {
+        this.notifyLinkClosed(roomId, nodeId);
+      }
+    });
+    return link;
+  }
+
+  private notifyLinkClosed(roomId: string, nodeId: string) {
+    this.registry
+      .getNode(nodeId)
+      .then(
+        (node) =>
+          node &&
+          this.request(
+            node,
+            `/rooms/${roomId}/pipes/${this.registry.nodeId}`,
+            undefined,
+            'DELETE',
+          ),
+      )
+      .catch((error) =>
+        this.logger.warn({
+          message: `Could not close pipe: ${error.message}`,
+          roomId,
+          nodeId,
+        }),
+      );
+  }
+
+  private notify(nodeId: string, path: string, body: object) {
+    this.registry
+      .getNode(nodeId)
+      .then((node) => node && this.request(node, path, body))
+      .catch((error) =>
+        this.logger.warn({
+          message: `Could not notify node: ${error.message}`,
+          nodeId,
+          path,
+        }),
+      );
+  }
+
+  private async request<T>(
+    node: NodeInfo,
+    path: string,
+    body?: object,
+    method = 'POST',
+  ): Promise<T> {
+    const response = await fetch(`${node.internalUrl}/internal${path}`, {
+      method,
+      headers: {
+        'content-type': 'application/json',
+        'x-cluster-secret': process.env.CLUSTER_SECRET || '',
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    if (!response.ok) {
+      throw new Error(`${node.nodeId} answered ${response.status} on ${path}`);
+    }
+    return response.status === 204 ? undefined : response.json();
+  }
+
+  private get announcedIp() {
+    return (
+      process.env.PIPE_ANNOUNCED_IP || process.env.PIPE_LISTEN_IP || '127.0.0.1'
+    );
+  }
+
+  private linkKey(roomId: string, nodeId: string) {
+    return `${roomId}/${nodeId}`;
+  }
+}
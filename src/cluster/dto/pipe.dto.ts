@@ -0,0 +1,31 @@
+import { IsIn, IsInt, IsNotEmpty, IsString, Max, Min } from 'class-validator';
+
+// A node asking the node that owns a producer to pipe it over
+export class PipeRequestDto {
+  @IsString()
+  @IsNotEmpty()
+  nodeId: string;
+
+  @IsString()
+  @IsNotEmpty()
+  transportId: string; // The caller's PipeTransport for this room
+
+  @IsString()
+  @IsNotEmpty()
+  ip: string;
+
+  @IsInt()
+  @Min(1)
+  @Max(65535)
+  port: number;
+
+  @IsString()
+  @IsNotEmpty()
+  producerId: string;
+}
+
+// The owner of a piped producer reporting a change to the nodes consuming it
+export class ProducerStateDto {
+  @IsIn(['paused', 'resumed', 'closed'])
+  state: 'paused' | 'resumed' | 'closed';
+}
@@ -0,0 +1,47 @@
+import {
+  Body,
+  Controller,
+  Delete,
+  HttpCode,
+  Param,
+  Post,
+  UseGuards,
+  UsePipes,
+  ValidationPipe,
+} from '@nestjs/common';
+import { ClusterSecretGuard } from './cluster-secret.guard';
+import { ClusterService } from './cluster.service';
+import { PipeRequestDto, ProducerStateDto } from './dto/pipe.dto';
+
+// Node-to-node calls that set up and tear down pipes between routers
+@Controller('internal/rooms/:roomId/pipes')
+@UseGuards(ClusterSecretGuard)
+@UsePipes(new ValidationPipe({ transform: true, whitelist: true }))
+export class InternalController {
+  constructor(private readonly cluster: ClusterService) {}
+
+  @Post()
+  @HttpCode(200)
+  pipe(@Param('roomId') roomId: string, @Body() body: PipeRequestDto) {
+    return this.cluster.handlePipeRequest(roomId, body);
+  }
+
+  @Post(':producerId/state')
+  @HttpCode(204)
+  async producerState(
+    @Param('roomId') roomId: string,
+    @Param('producerId') producerId: string,
+    @Body() body: ProducerStateDto,
+  ) {
+    await this.cluster.handleProducerState(roomId, producerId, body.state);
+  }
+
+  @Delete(':nodeId')
+  @HttpCode(204)
+  async linkClosed(
+    @Param('roomId') roomId: string,
+    @Param('nodeId') nodeId: string,
+  ) {
+    await this.cluster.handleLinkClosed(roomId, nodeId);
+  }
+}
@@ -0,0 +1,13 @@
+import * as os from 'os';
+
+let nodeId: string;
+
+// Name of this server in the cluster, NODE_ID or host + port. Read lazily so
+// .env has been loaded by the time it is first needed.
+export function getNodeId() {
+  if (!nodeId) {
+    nodeId =
+      process.env.NODE_ID || `${os.hostname()}-${process.env.PORT || 3000}`;
+  }
+  return nodeId;
+}
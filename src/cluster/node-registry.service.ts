@@ -0,0 +1,154 @@
+import {
+  Injectable,
+  Logger,
+  OnModuleDestroy,
+  OnModuleInit,
+} from '@nestjs/common';
+import Redis from 'ioredis';
+import { RoomService } from '../rooms/room.service';
+import { getNodeId } from './node-id';
+
+export interface NodeInfo {
+  nodeId: string;
+  internalUrl: string; // Base URL other nodes use for /internal requests
+  publicUrl: string; // Base URL clients connect to
+  rooms: number;
+  peers: number;
+  updatedAt: string;
+}
+
+const HEARTBEAT_MS = 5000;
+const NODE_TTL_S = 15; // A node missing three heartbeats is considered dead
+const ROOM_ASSIGNMENT_TTL_S = 24 * 60 * 60;
+
+/**
+ * Keeps track of the live SFU nodes in Redis and decides which node hosts
+ * a room. Every node refreshes its own entry on a heartbeat; entries of
+ * nodes that stop doing so expire. The heartbeat also keeps the node's
+ * peers and producers in the room store alive, and whichever node notices
+ * another one gone purges what it left there.
+ *
+ *   sfu:nodes                set of node ids
+ *   sfu:node:<id>            NodeInfo as JSON, expires after NODE_TTL_S
+ *   sfu:room-node:<roomId>   id of the node hosting the room
+ */
+@Injectable()
+export class NodeRegistry implements OnModuleInit, OnModuleDestroy {
+  private readonly logger = new Logger(NodeRegistry.name);
+  private redis?: Redis;
+  private heartbeat?: NodeJS.Timeout;
+
+  constructor(private readonly rooms: RoomService) {}
+
+  get enabled() {
+    return process.env.CLUSTER_ENABLED === 'true';
+  }
+
+  get nodeId() {
+    return getNodeId();
+  }
+
+  async onModuleInit() {
+    if (!this.enabled) return;
+    if (!process.env.CLUSTER_SECRET) {
+      this.logger.warn(
+        'CLUSTER_SECRET is not set, nodes will refuse each other /internal calls',
+      );
+    }
+
+    this.redis = new Redis(process.env.REDIS_URL || 'redis://127.0.0.1:6379');
+    await this.beat();
+    this.heartbeat = setInterval(
+      () =>
+        this.beat().catch((error) =>
+          this.logger.error(`Node heartbeat failed: ${error.message}`),
+        ),
+      HEARTBEAT_MS,
+    );
+    this.logger.log({ message: 'Joined the cluster', nodeId: this.nodeId });
+  }
+
+  async onModuleDestroy() {
+    if (!this.redis) return;
+
+    clearInterval(this.heartbeat);
+    await this.redis
+      .multi()
+      .srem('sfu:nodes', this.nodeId)
+      .del(`sfu:node:${this.nodeId}`)
+      .exec();
+    await this.redis.quit();
+  }
+
+  async getNode(nodeId: string): Promise<NodeInfo | undefined> {
+    if (!this.redis) return undefined;
+
+    const value = await this.redis.get(`sfu:node:${nodeId}`);
+    return value ? JSON.parse(value) : undefined;
+  }
+
+  async listNodes(): Promise<NodeInfo[]> {
+    if (!this.redis) return [this.describeSelf()];
+
+    const nodeIds = await this.redis.smembers('sfu:nodes');
+    if (nodeIds.length === 0) return [];
+
+    const values = await this.redis.mget(nodeIds.map((id) => `sfu:node:${id}`));
+    const dead = nodeIds.filter((id, i) => values[i] === null);
+    if (dead.length > 0) {
+      await this.redis.srem('sfu:nodes', ...dead);
+      for (const nodeId of dead) {
+        await this.rooms.purgeNode(nodeId);
+        this.logger.warn({ message: 'Purged a node that is gone', nodeId });
+      }
+    }
+    return values.filter((value) => value !== null).map((v) => JSON.parse(v));
+  }
+
+  /**
+   * Node that should host the room. Keeps the node the room was assigned to
+   * while it is alive, otherwise assigns the node with the fewest peers.
+   */
+  async getRoomNode(roomId: string): Promise<NodeInfo> {
+    if (!this.redis) return this.describeSelf();
+
+    const key = `sfu:room-node:${roomId}`;
+    const assigned = await this.redis.get(key);
+    const current = assigned && (await this.getNode(assigned));
+    if (current) return current;
+
+    const nodes = await this.listNodes();
+    if (nodes.length === 0) return this.describeSelf();
+
+    const [leastLoaded] = nodes.sort((a, b) => a.peers - b.peers);
+    await this.redis.set(key, leastLoaded.nodeId, 'EX', ROOM_ASSIGNMENT_TTL_S);
+    return leastLoaded;
+  }
+
+  private async beat() {
+    await this.redis
+      .multi()
+      .sadd('sfu:nodes', this.nodeId)
+      .set(
+        `sfu:node:${this.nodeId}`,
+        JSON.stringify(this.describeSelf()),
+        'EX',
+        NODE_TTL_S,
+      )
+      .exec();
+    await this.rooms.refreshStore(NODE_TTL_S);
+    await this.listNodes(); // Sweeps out dead nodes
+  }
+
+  private describeSelf(): NodeInfo {
+    const port = process.env.PORT || 3000;
+    return {
+      nodeId: this.nodeId,
+      internalUrl:
+        process.env.CLUSTER_INTERNAL_URL || `http://127.0.0.1:${port}`,
+      publicUrl: process.env.PUBLIC_URL || `http://localhost:${port}`,
+      ...this.rooms.counts(),
+      updatedAt: new Date().toISOString(),
+    };
+  }
+}
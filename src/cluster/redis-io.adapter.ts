@@ -0,0 +1,31 @@
+import { IoAdapter } from '@nestjs/platform-socket.io';
+import { createAdapter } from '@socket.io/redis-adapter';
+import Redis from 'ioredis';
+import { ServerOptions } from 'socket.io';
+
+/**
+ * socket.io adapter that relays broadcasts through Redis pub/sub, so
+ * `server.to(roomId).emit(...)` also reaches sockets connected to the other
+ * nodes of the cluster.
+ */
+export class RedisIoAdapter extends IoAdapter {
+  private adapterConstructor: ReturnType<typeof createAdapter>;
+
+  async connectToRedis(url: string) {
+    const pubClient = new Redis(url);
+    const subClient = pubClient.duplicate();
+    await Promise.all([
+      new Promise((resolve) => pubClient.once('ready', resolve)),
+      new Promise((resolve) => subClient.once('ready', resolve)),
+    ]);
+    this.adapterConstructor = createAdapter(pubClient, subClient, {
+      key: 'sfu:socket.io',
+    });
+  }
+
+  createIOServer(port: number, options?: ServerOptions) {
+    const server = super.createIOServer(port, options);
+    server.adapter(this.adapterConstructor);
+    return server;
+  }
+}
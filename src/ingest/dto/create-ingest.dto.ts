@@ -0,0 +1,17 @@
+import { IsIn, IsOptional, IsString, MaxLength } from 'class-validator';
+
+export class CreateIngestDto {
+  @IsIn(['audio', 'video'])
+  kind: 'audio' | 'video';
+
+  // e.g. 'audio/opus' or 'video/VP8', defaults to the router's first codec
+  // of that kind
+  @IsOptional()
+  @IsString()
+  mimeType?: string;
+
+  @IsOptional()
+  @IsString()
+  @MaxLength(64)
+  displayName?: string;
+}
@@ -0,0 +1,42 @@
+import {
+  Body,
+  Controller,
+  Delete,
+  Get,
+  NotFoundException,
+  Param,
+  Post,
+  UseGuards,
+  UsePipes,
+  ValidationPipe,
+} from '@nestjs/common';
+import { RoomHostGuard } from '../auth/room-host.guard';
+import { CreateIngestDto } from './dto/create-ingest.dto';
+import { IngestService } from './ingest.service';
+
+// Room hosts manage the external RTP streams pushed into their rooms
+@Controller('rooms/:roomId/ingest')
+@UseGuards(RoomHostGuard)
+@UsePipes(new ValidationPipe({ transform: true, whitelist: true }))
+export class IngestController {
+  constructor(private readonly ingest: IngestService) {}
+
+  @Get()
+  list(@Param('roomId') roomId: string) {
+    return { ingests: this.ingest.list(roomId) };
+  }
+
+  @Post()
+  create(@Param('roomId') roomId: string, @Body() body: CreateIngestDto) {
+    return this.ingest.create(roomId, body);
+  }
+
+  @Delete(':ingestId')
+  remove(@Param('roomId') roomId: string, @Param('ingestId') ingestId: string) {
+    if (this.ingest.getRoomId(ingestId) !== roomId) {
+      throw new NotFoundException(`Ingest ${ingestId} not found`);
+    }
+    this.ingest.remove(ingestId);
+    return { removed: true };
+  }
+}
@@ -0,0 +1,13 @@
+import { Module } from '@nestjs/common';
+import { AuthModule } from 'src/auth/auth.module';
+import { MediasoupModule } from 'src/mediasoup/mediasoup.module';
+import { SignalingModule } from 'src/signaling/signaling.module';
+import { IngestController } from './ingest.controller';
+import { IngestService } from './ingest.service';
+
+@Module({
+  imports: [AuthModule, MediasoupModule, SignalingModule],
+  controllers: [IngestController],
+  providers: [IngestService],
+})
+export class IngestModule {}
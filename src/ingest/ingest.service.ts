@@ -0,0 +1,193 @@
+import {
+  BadRequestException,
+  Injectable,
+  Logger,
+  NotFoundException,
+  OnModuleDestroy,
+} from '@nestjs/common';
+import { randomInt, randomUUID } from 'crypto';
+import { PlainTransport, Producer } from 'mediasoup/node/lib/types';
+import { MediasoupService } from '../mediasoup/mediasoup.service';
+import { getDefaultSource } from '../rooms/app-data';
+import { SignalingGateway } from '../signaling/signaling.gateway';
+import { CreateIngestDto } from './dto/create-ingest.dto';
+
+interface Ingest {
+  id: string;
+  roomId: string;
+  transport: PlainTransport;
+  producer: Producer;
+}
+
+// ffmpeg encoder flags for the example command returned to the caller
+const FFMPEG_ENCODERS: Record<string, string> = {
+  'audio/opus': '-c:a libopus -ac 2 -ar 48000',
+  'video/vp8': '-c:v libvpx -deadline realtime -b:v 1M -pix_fmt yuv420p',
+  'video/h264':
+    '-c:v libx264 -tune zerolatency -profile:v main -pix_fmt yuv420p -bsf:v h264_mp4toannexb',
+};
+
+/**
+ * Lets external senders (ffmpeg, GStreamer, ...) push RTP into a room. Each
+ * ingest is a comedia PlainTransport with a single producer, owned by a
+ * socketless pseudo participant so clients see it like any other peer.
+ */
+@Injectable()
+export class IngestService implements OnModuleDestroy {
+  private readonly logger = new Logger(IngestService.name);
+  private ingests = new Map<string, Ingest>(); // ingestId -> ingest
+
+  constructor(
+    private readonly ms: MediasoupService,
+    private readonly gateway: SignalingGateway,
+  ) {}
+
+  onModuleDestroy() {
+    for (const ingestId of Array.from(this.ingests.keys())) {
+      this.remove(ingestId);
+    }
+  }
+
+  list(roomId: string) {
+    return Array.from(this.ingests.values())
+      .filter((ingest) => ingest.roomId === roomId)
+      .map((ingest) => this.describe(ingest));
+  }
+
+  async create(roomId: string, data: CreateIngestDto) {
+    const ingestId = `ingest-${randomUUID()}`;
+    await this.gateway.addPseudoParticipant(roomId, ingestId, {
+      userId: ingestId,
+      displayName: data.displayName || `Ingest ${ingestId.substring(7, 11)}`,
+      rooms: [roomId],
+      role: 'speaker',
+    });
+
+    let transport: PlainTransport;
+    try {
+      const router = this.ms.getRouter(roomId);
+      const codec = router.rtpCapabilities.codecs.find(
+        (c) =>
+          c.kind === data.kind &&
+          (!data.mimeType ||
+            c.mimeType.toLowerCase() === data.mimeType.toLowerCase()),
+      );
+      if (!codec) {
+        throw new BadRequestException(
+          `Room ${roomId} has no ${data.mimeType || data.kind} codec`,
+        );
+      }
+
+      // comedia: mediasoup learns the sender's address from the first packet,
+      // so senders only need to know where to send
+      transport = await router.createPlainTransport({
+        listenIp: {
+          ip: process.env.INGEST_LISTEN_IP || '0.0.0.0',
+          announcedIp: this.announcedIp,
+        },
+        rtcpMux: false,
+        comedia: true,
+        appData: { clientId: ingestId, roomId },
+      });
+
+      const producer = await transport.produce({
+        kind: data.kind,
+        rtpParameters: {
+          codecs: [
+            {
+              mimeType: codec.mimeType,
+              payloadType: codec.preferredPayloadType,
+              clockRate: codec.clockRate,
+              channels: codec.channels,
+              parameters: codec.parameters,
+            },
+          ],
+          encodings: [{ ssrc: randomInt(1, 0xffffffff) }],
+        },
+        appData: { clientId: ingestId, source: getDefaultSource(data.kind) },
+      });
+
+      const ingest: Ingest = { id: ingestId, roomId, transport, producer };
+      this.ingests.set(ingestId, ingest);
+
+      // The producer went away without us: its participant was kicked, the
+      // room was closed or the router died with its worker
+      producer.observer.once('close', () => {
+        if (this.ingests.has(ingestId)) this.remove(ingestId);
+      });
+
+      await this.gateway.addPseudoProducer(ingestId, producer);
+      this.logger.log({
+        message: `Receiving ${codec.mimeType}`,
+        clientId: ingestId,
+        roomId,
+        transportId: transport.id,
+        producerId: producer.id,
+        port: transport.tuple.localPort,
+      });
+      return this.describe(ingest);
+    } catch (error) {
+      transport?.close();
+      this.gateway.removePseudoParticipant(ingestId);
+      throw error;
+    }
+  }
+
+  remove(ingestId: string) {
+    const ingest = this.ingests.get(ingestId);
+    if (!ingest) {
+      throw new NotFoundException(`Ingest ${ingestId} not found`);
+    }
+
+    this.ingests.delete(ingestId);
+    this.gateway.removePseudoParticipant(ingestId);
+    ingest.transport.close();
+    this.logger.log({
+      message: 'Ingest removed',
+      clientId: ingestId,
+      roomId: ingest.roomId,
+    });
+  }
+
+  getRoomId(ingestId: string) {
+    return this.ingests.get(ingestId)?.roomId;
+  }
+
+  private get announcedIp() {
+    return (
+      process.env.INGEST_ANNOUNCED_IP || process.env.ANNOUNCED_IP || '127.0.0.1'
+    );
+  }
+
+  private describe({ id, roomId, transport, producer }: Ingest) {
+    const codec = producer.rtpParameters.codecs[0];
+    const ssrc = producer.rtpParameters.encodings[0].ssrc;
+    const ip = this.announcedIp;
+    const port = transport.tuple.localPort;
+    const rtcpPort = transport.rtcpTuple?.localPort;
+    const encoder = FFMPEG_ENCODERS[codec.mimeType.toLowerCase()];
+    const source =
+      producer.kind === 'audio'
+        ? '-f lavfi -i sine=frequency=440'
+        : '-f lavfi -i testsrc=size=1280x720:rate=30';
+
+    return {
+      ingestId: id,
+      roomId,
+      producerId: producer.id,
+      kind: producer.kind,
+      ip,
+      port,
+      rtcpPort,
+      ssrc,
+      payloadType: codec.payloadType,
+      mimeType: codec.mimeType,
+      clockRate: codec.clockRate,
+      channels: codec.channels,
+      parameters: codec.parameters,
+      ffmpeg: encoder
+        ? `ffmpeg -re ${source} ${encoder} -payload_type ${codec.payloadType} -ssrc ${ssrc} -f rtp "rtp://${ip}:${port}?rtcpport=${rtcpPort}"`
+        : undefined,
+    };
+  }
+}
@@ -0,0 +1,72 @@
+import { ConsoleLogger, LogLevel } from '@nestjs/common';
+
+const LEVELS: LogLevel[] = [
+  'verbose',
+  'debug',
+  'log',
+  'warn',
+  'error',
+  'fatal',
+];
+
+/**
+ * Structured log entry: a message plus fields such as clientId, roomId or
+ * producerId. Pass it to any Nest Logger method.
+ */
+export interface LogEntry {
+  message: string;
+  [field: string]: unknown;
+}
+
+/**
+ * Nest's ConsoleLogger with two changes:
+ * - LOG_LEVEL (verbose, debug, log, warn, error, fatal; default log) sets
+ *   the lowest level printed.
+ * - LogEntry fields are printed next to the message: as top-level keys
+ *   with LOG_FORMAT=json, as `key=value` pairs otherwise.
+ */
+export class AppLogger extends ConsoleLogger {
+  constructor() {
+    const level = (process.env.LOG_LEVEL || 'log') as LogLevel;
+    const lowest = Math.max(LEVELS.indexOf(level), 0);
+
+    super({
+      json: process.env.LOG_FORMAT === 'json',
+      logLevels: LEVELS.slice(lowest),
+    });
+  }
+
+  protected getJsonLogObject(
+    message: unknown,
+    options: Parameters<ConsoleLogger['getJsonLogObject']>[1],
+  ) {
+    const logObject = super.getJsonLogObject(message, options);
+    if (!isLogEntry(message)) return logObject;
+
+    return { ...logObject, ...message };
+  }
+
+  protected stringifyMessage(message: unknown, logLevel: LogLevel) {
+    if (!isLogEntry(message)) {
+      return super.stringifyMessage(message, logLevel);
+    }
+
+    const { message: text, ...fields } = message;
+    const pairs = Object.entries(fields)
+      .filter(([, value]) => value !== undefined)
+      .map(([key, value]) =>
+        typeof value === 'object'
+          ? `${key}=${JSON.stringify(value)}`
+          : `${key}=${value}`,
+      );
+    return super.stringifyMessage([text, ...pairs].join(' '), logLevel);
+  }
+}
+
+function isLogEntry(message: unknown): message is LogEntry {
+  return (
+    typeof message === 'object' &&
+    message !== null &&
+    typeof (message as LogEntry).message === 'string'
+  );
+}
@@ -1,21 +1,35 @@
+import { Logger } from '@nestjs/common';
 import { NestFactory } from '@nestjs/core';
 import { AppModule } from './app.module';
 import { NestExpressApplication } from '@nestjs/platform-express';
 import { join } from 'path';
+import { RedisIoAdapter } from './cluster/redis-io.adapter';
+import { AppLogger } from './logging/app-logger';
 
 async function bootstrap() {
-  const app = await NestFactory.create<NestExpressApplication>(AppModule);
-  
+  const app = await NestFactory.create<NestExpressApplication>(AppModule, {
+    logger: new AppLogger(),
+  });
+
   // Enable CORS
   app.enableCors();
-  
+
   // Serve static files from frontend/public
   app.useStaticAssets(join(__dirname, '..', 'frontend', 'public'));
-  
+
+  // Several nodes serving the same rooms share broadcasts through Redis
+  if (process.env.CLUSTER_ENABLED === 'true') {
+    const adapter = new RedisIoAdapter(app);
+    await adapter.connectToRedis(
+      process.env.REDIS_URL || 'redis://127.0.0.1:6379',
+    );
+    app.useWebSocketAdapter(adapter);
+  }
+
   const port = process.env.PORT || 3000;
   const host = process.env.HOST || 'localhost';
-  
+
   await app.listen(port);
-  console.log(`Server running on http://${host}:${port}`);
+  new Logger('Bootstrap').log(`Server running on http://${host}:${port}`);
 }
 bootstrap();
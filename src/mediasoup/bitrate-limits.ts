@@ -0,0 +1,106 @@
+import { Role, ROLES } from '../auth/auth.service';
+import { getMediaProfile } from './media-profiles';
+
+// Bitrates in bps. 0 for maxIncomingBitrate / maxOutgoingBitrate means
+// no limit.
+export interface BitrateLimits {
+  initialOutgoingBitrate: number; // First BWE guess towards the client
+  maxIncomingBitrate: number; // Everything a client sends on a transport
+  maxOutgoingBitrate: number; // Everything a client receives on a transport
+  maxAudioBitrate: number; // Opus average bitrate clients should encode at
+  maxVideoBitrate: number; // Top simulcast / SVC layer clients should send
+}
+
+type BitrateOverrides = {
+  roles?: Partial<Record<Role, Partial<BitrateLimits>>>;
+  rooms?: Record<string, Partial<BitrateLimits>>;
+};
+
+const LIMIT_KEYS: (keyof BitrateLimits)[] = [
+  'initialOutgoingBitrate',
+  'maxIncomingBitrate',
+  'maxOutgoingBitrate',
+  'maxAudioBitrate',
+  'maxVideoBitrate',
+];
+
+let overrides: BitrateOverrides;
+
+// Each entry of roles / rooms must only set known limits, in whole bps
+function checkLimits(entries: unknown, at: string, keys?: string[]) {
+  if (entries === undefined) return;
+  if (typeof entries !== 'object' || entries === null) {
+    throw new Error(`BITRATE_LIMITS ${at} must be an object`);
+  }
+  for (const [name, limits] of Object.entries(entries)) {
+    if (keys && !keys.includes(name)) {
+      throw new Error(`BITRATE_LIMITS ${at} has unknown ${name}`);
+    }
+    if (typeof limits !== 'object' || limits === null) {
+      throw new Error(`BITRATE_LIMITS ${at}.${name} must be an object`);
+    }
+    for (const [key, value] of Object.entries(limits)) {
+      if (
+        !LIMIT_KEYS.includes(key as keyof BitrateLimits) ||
+        !Number.isInteger(value) ||
+        (value as number) < 0
+      ) {
+        throw new Error(
+          `BITRATE_LIMITS ${at}.${name}.${key} must be a known limit in whole bps`,
+        );
+      }
+    }
+  }
+}
+
+/**
+ * Reads and validates BITRATE_LIMITS once. Throws when it is invalid;
+ * called at startup so a bad value stops the server rather than a join.
+ */
+export function loadBitrateOverrides(): BitrateOverrides {
+  if (overrides) return overrides;
+
+  let parsed: BitrateOverrides;
+  try {
+    parsed = JSON.parse(process.env.BITRATE_LIMITS || '{}');
+  } catch {
+    throw new Error('BITRATE_LIMITS is not valid JSON');
+  }
+  if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+    throw new Error('BITRATE_LIMITS must be an object of roles and rooms');
+  }
+  checkLimits(parsed.roles, 'roles', ROLES);
+  checkLimits(parsed.rooms, 'rooms');
+
+  overrides = parsed;
+  return overrides;
+}
+
+function envBitrate(name: string, fallback: number) {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+/**
+ * Limits for a client of the given role in a room: the BITRATE_* defaults,
+ * overridden by the room's media profile, then by BITRATE_LIMITS for the
+ * role and for the room.
+ */
+export function getBitrateLimits(
+  roomId: string,
+  role: Role,
+  profile?: string,
+): BitrateLimits {
+  const { roles = {}, rooms = {} } = loadBitrateOverrides();
+
+  return {
+    initialOutgoingBitrate: envBitrate('BITRATE_INITIAL_OUTGOING', 1000000),
+    maxIncomingBitrate: envBitrate('BITRATE_MAX_INCOMING', 1500000),
+    maxOutgoingBitrate: envBitrate('BITRATE_MAX_OUTGOING', 0),
+    maxAudioBitrate: envBitrate('BITRATE_MAX_AUDIO', 64000),
+    maxVideoBitrate: envBitrate('BITRATE_MAX_VIDEO', 900000),
+    ...getMediaProfile(profile).bitrateLimits,
+    ...roles[role],
+    ...rooms[roomId],
+  };
+}
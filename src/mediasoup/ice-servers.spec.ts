@@ -0,0 +1,79 @@
+type IceServersModule = typeof import('./ice-servers');
+
+const NOW = 1700000000000;
+const ENV_KEYS = [
+  'ICE_SERVERS',
+  'TURN_URLS',
+  'TURN_SECRET',
+  'TURN_CREDENTIAL_TTL',
+] as const;
+
+describe('ICE servers', () => {
+  const previousEnv = Object.fromEntries(
+    ENV_KEYS.map((key) => [key, process.env[key]]),
+  );
+
+  beforeEach(() => {
+    for (const key of ENV_KEYS) delete process.env[key];
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    for (const key of ENV_KEYS) {
+      if (previousEnv[key] === undefined) delete process.env[key];
+      else process.env[key] = previousEnv[key];
+    }
+  });
+
+  // A fresh copy of the module, ICE_SERVERS is read once
+  function load(): Promise<IceServersModule> {
+    jest.resetModules();
+    return import('./ice-servers');
+  }
+
+  it('creates TURN REST API credentials', async () => {
+    const { createTurnCredentials } = await load();
+
+    expect(createTurnCredentials('alice', 's3cret', 3600, NOW)).toEqual({
+      username: '1700003600:alice',
+      credential: 'YAFdW/YDZewZsR1QSgUk2IrfbRI=',
+    });
+  });
+
+  it('returns only the static servers without TURN settings', async () => {
+    const stun = { urls: 'stun:stun.example.com:3478' };
+    process.env.ICE_SERVERS = JSON.stringify([stun]);
+    process.env.TURN_URLS = 'turn:turn.example.com:3478';
+    const { getIceServers } = await load();
+
+    expect(getIceServers('alice')).toEqual([stun]);
+  });
+
+  it('adds TURN servers with credentials for the user', async () => {
+    process.env.TURN_URLS =
+      'turn:turn.example.com:3478?transport=udp, turns:turn.example.com:443';
+    process.env.TURN_SECRET = 's3cret';
+    const { getIceServers } = await load();
+
+    expect(getIceServers('alice')).toEqual([
+      {
+        urls: [
+          'turn:turn.example.com:3478?transport=udp',
+          'turns:turn.example.com:443',
+        ],
+        username: '1700086400:alice',
+        credential: 'HJX0XIkrCiQCuU88Z0oeXj+QW60=',
+      },
+    ]);
+  });
+
+  it('rejects ICE_SERVERS that is not JSON', async () => {
+    process.env.ICE_SERVERS = 'stun:stun.example.com';
+    const { getIceServers } = await load();
+
+    expect(() => getIceServers('alice')).toThrow(
+      'ICE_SERVERS is not valid JSON',
+    );
+  });
+});
@@ -0,0 +1,68 @@
+import { createHmac } from 'crypto';
+
+// Same shape as the browser's RTCIceServer
+export interface IceServer {
+  urls: string | string[];
+  username?: string;
+  credential?: string;
+}
+
+let staticServers: IceServer[];
+
+function readStaticServers(): IceServer[] {
+  if (!staticServers) {
+    try {
+      staticServers = JSON.parse(process.env.ICE_SERVERS || '[]');
+    } catch {
+      throw new Error('ICE_SERVERS is not valid JSON');
+    }
+  }
+  return staticServers;
+}
+
+/**
+ * Time-limited TURN credentials in the format of the TURN REST API that
+ * coturn implements (use-auth-secret): the username is the expiry time and
+ * the user, the password the base64 HMAC-SHA1 of the username keyed with
+ * the shared secret.
+ */
+export function createTurnCredentials(
+  userId: string,
+  secret: string,
+  ttlSeconds: number,
+  now = Date.now(),
+) {
+  const expiry = Math.floor(now / 1000) + ttlSeconds;
+  const username = `${expiry}:${userId}`;
+  const credential = createHmac('sha1', secret)
+    .update(username)
+    .digest('base64');
+  return { username, credential };
+}
+
+/**
+ * STUN/TURN servers for a client: the static ICE_SERVERS plus, with
+ * TURN_URLS and TURN_SECRET set, the TURN servers with fresh credentials
+ * for the user.
+ */
+export function getIceServers(userId: string): IceServer[] {
+  const servers = [...readStaticServers()];
+
+  const turnUrls = (process.env.TURN_URLS || '')
+    .split(',')
+    .map((url) => url.trim())
+    .filter(Boolean);
+  if (turnUrls.length && process.env.TURN_SECRET) {
+    const ttl = parseInt(process.env.TURN_CREDENTIAL_TTL) || 86400;
+    servers.push({
+      urls: turnUrls,
+      ...createTurnCredentials(userId, process.env.TURN_SECRET, ttl),
+    });
+  }
+  return servers;
+}
+
+// 'relay' makes every client go through TURN
+export function getIceTransportPolicy(): 'all' | 'relay' {
+  return process.env.ICE_TRANSPORT_POLICY === 'relay' ? 'relay' : 'all';
+}
@@ -0,0 +1,73 @@
+import { TransportListenInfo } from 'mediasoup/node/lib/types';
+
+// An RTC_LISTEN_INFOS entry; without a protocol it is used for UDP and TCP
+type ListenInfoConfig = Omit<TransportListenInfo, 'protocol'> &
+  Partial<Pick<TransportListenInfo, 'protocol'>>;
+
+let configured: ListenInfoConfig[];
+
+function readListenInfos(): ListenInfoConfig[] {
+  if (configured) return configured;
+
+  if (!process.env.RTC_LISTEN_INFOS) {
+    configured = [
+      {
+        ip: '0.0.0.0',
+        announcedAddress: process.env.ANNOUNCED_IP || '127.0.0.1',
+      },
+    ];
+    return configured;
+  }
+
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(process.env.RTC_LISTEN_INFOS);
+  } catch {
+    throw new Error('RTC_LISTEN_INFOS is not valid JSON');
+  }
+  if (
+    !Array.isArray(parsed) ||
+    !parsed.length ||
+    parsed.some((info) => typeof info?.ip !== 'string')
+  ) {
+    throw new Error('RTC_LISTEN_INFOS must be a non-empty array of { ip }');
+  }
+  configured = parsed;
+  return configured;
+}
+
+export function isWebRtcServerEnabled() {
+  return process.env.WEBRTC_SERVER_ENABLED === 'true';
+}
+
+/**
+ * Interfaces WebRTC transports listen on: RTC_LISTEN_INFOS, or every IPv4
+ * interface announced as ANNOUNCED_IP. Ports come from the worker's
+ * RTC_MIN_PORT..RTC_MAX_PORT unless an entry sets its own.
+ */
+export function getListenInfos(): TransportListenInfo[] {
+  return readListenInfos().flatMap(({ protocol, ...info }) =>
+    protocol
+      ? [{ ...info, protocol }]
+      : [
+          { ...info, protocol: 'udp' as const },
+          { ...info, protocol: 'tcp' as const },
+        ],
+  );
+}
+
+/**
+ * The same interfaces for the WebRtcServer of the worker in the given slot.
+ * A server needs fixed ports and workers cannot share them, so worker N
+ * listens on WEBRTC_SERVER_PORT + N (or an entry's own port + N).
+ */
+export function getWebRtcServerListenInfos(
+  slot: number,
+): TransportListenInfo[] {
+  const basePort = parseInt(process.env.WEBRTC_SERVER_PORT) || 44444;
+  return getListenInfos().map((info) => ({
+    ...info,
+    port: (info.port ?? basePort) + slot,
+    portRange: undefined,
+  }));
+}
@@ -0,0 +1,110 @@
+import 'reflect-metadata';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import * as path from 'path';
+
+type MediaProfilesModule = typeof import('./media-profiles');
+
+const meeting = {
+  description: 'Opus and VP8',
+  mediaCodecs: [
+    { kind: 'audio', mimeType: 'audio/opus', clockRate: 48000, channels: 2 },
+    { kind: 'video', mimeType: 'video/VP8', clockRate: 90000 },
+  ],
+  bitrateLimits: { maxAudioBitrate: 48000 },
+  audio: { codecOptions: { opusDtx: true } },
+  video: {
+    codec: 'video/VP8',
+    encodings: [{ rid: 'r0', maxBitrate: 300000 }],
+  },
+};
+
+describe('media profiles', () => {
+  let dir: string;
+  const previousPath = process.env.MEDIA_PROFILES_PATH;
+
+  beforeEach(() => {
+    dir = mkdtempSync(path.join(tmpdir(), 'media-profiles-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+    if (previousPath === undefined) delete process.env.MEDIA_PROFILES_PATH;
+    else process.env.MEDIA_PROFILES_PATH = previousPath;
+  });
+
+  // A fresh copy of the module reading the given file content
+  function load(content: string): Promise<MediaProfilesModule> {
+    const file = path.join(dir, 'media-profiles.json');
+    writeFileSync(file, content);
+    process.env.MEDIA_PROFILES_PATH = file;
+
+    jest.resetModules();
+    return import('./media-profiles');
+  }
+
+  const file = (config: object) => JSON.stringify(config);
+
+  it('reads a valid profile as written', async () => {
+    const profiles = await load(
+      file({ defaultProfile: 'meeting', profiles: { meeting } }),
+    );
+
+    expect(profiles.listMediaProfiles()).toEqual([
+      { name: 'meeting', description: 'Opus and VP8' },
+    ]);
+    expect(profiles.hasMediaProfile('meeting')).toBe(true);
+    expect(profiles.hasMediaProfile('music')).toBe(false);
+
+    const profile = profiles.getMediaProfile('music'); // Falls back
+    expect(profile.name).toBe('meeting');
+    expect(profile.bitrateLimits).toEqual({ maxAudioBitrate: 48000 });
+    expect(profiles.getRouterCodecs(profile)).toEqual(meeting.mediaCodecs);
+    expect(
+      JSON.parse(JSON.stringify(profiles.getClientMediaProfile('meeting'))),
+    ).toEqual({ name: 'meeting', audio: meeting.audio, video: meeting.video });
+  });
+
+  it('rejects an unknown default profile', async () => {
+    const profiles = await load(
+      file({ defaultProfile: 'music', profiles: { meeting } }),
+    );
+
+    expect(() => profiles.listMediaProfiles()).toThrow(
+      'Unknown default media profile music',
+    );
+  });
+
+  it('rejects a video codec missing from the router codecs', async () => {
+    const h264 = { ...meeting, video: { codec: 'video/H264' } };
+    const profiles = await load(
+      file({ defaultProfile: 'h264', profiles: { h264 } }),
+    );
+
+    expect(() => profiles.listMediaProfiles()).toThrow(
+      'Media profile h264 sends video/H264 it does not list',
+    );
+  });
+
+  it('rejects encodings without an integer maxBitrate', async () => {
+    const video = { codec: 'video/VP8', encodings: [{ rid: 'r0' }] };
+    const profiles = await load(
+      file({
+        defaultProfile: 'meeting',
+        profiles: { meeting: { ...meeting, video } },
+      }),
+    );
+
+    expect(() => profiles.listMediaProfiles()).toThrow(
+      /Invalid media profile meeting: .*maxBitrate/,
+    );
+  });
+
+  it('rejects a malformed file', async () => {
+    const profiles = await load('{ "defaultProfile": ');
+
+    expect(() => profiles.listMediaProfiles()).toThrow(
+      /^Cannot read media profiles .*media-profiles\.json/,
+    );
+  });
+});
@@ -0,0 +1,243 @@
+import { plainToInstance, Type } from 'class-transformer';
+import {
+  ArrayNotEmpty,
+  IsArray,
+  IsIn,
+  IsInt,
+  IsNotEmpty,
+  IsObject,
+  IsOptional,
+  IsPositive,
+  IsString,
+  Min,
+  ValidateNested,
+  ValidationError,
+  validateSync,
+} from 'class-validator';
+import { readFileSync } from 'fs';
+import * as path from 'path';
+import { RouterOptions } from 'mediasoup/node/lib/types';
+import { BitrateLimits } from './bitrate-limits';
+
+// A router codec, as in RouterOptions.mediaCodecs
+class MediaCodecConfig {
+  @IsIn(['audio', 'video'])
+  kind: 'audio' | 'video';
+
+  @IsString()
+  @IsNotEmpty()
+  mimeType: string;
+
+  @IsInt()
+  clockRate: number;
+
+  @IsOptional()
+  @IsInt()
+  channels?: number;
+
+  @IsOptional()
+  @IsObject()
+  parameters?: Record<string, unknown>;
+}
+
+// What clients capture and how they encode it; passed to them as is
+class TrackSettings {
+  // getUserMedia constraints
+  @IsOptional()
+  @IsObject()
+  constraints?: Record<string, unknown>;
+
+  // mediasoup-client ProducerCodecOptions
+  @IsOptional()
+  @IsObject()
+  codecOptions?: Record<string, unknown>;
+}
+
+// An RTCRtpEncodingParameters entry; maxBitrate is capped by the room limits
+class EncodingConfig {
+  @IsOptional()
+  @IsString()
+  rid?: string;
+
+  @IsInt()
+  @IsPositive()
+  maxBitrate: number;
+
+  @IsOptional()
+  @IsPositive()
+  scaleResolutionDownBy?: number;
+
+  @IsOptional()
+  @IsString()
+  scalabilityMode?: string;
+}
+
+class BitrateLimitsConfig implements Partial<BitrateLimits> {
+  @IsOptional()
+  @IsInt()
+  @Min(0)
+  initialOutgoingBitrate?: number;
+
+  @IsOptional()
+  @IsInt()
+  @Min(0)
+  maxIncomingBitrate?: number;
+
+  @IsOptional()
+  @IsInt()
+  @Min(0)
+  maxOutgoingBitrate?: number;
+
+  @IsOptional()
+  @IsInt()
+  @Min(0)
+  maxAudioBitrate?: number;
+
+  @IsOptional()
+  @IsInt()
+  @Min(0)
+  maxVideoBitrate?: number;
+}
+
+class VideoSettings extends TrackSettings {
+  // mimeType of the codec clients send with, unless they ask for another
+  @IsOptional()
+  @IsString()
+  codec?: string;
+
+  // Simulcast layers for VP8 / H264, VP9 always uses its SVC encoding
+  @IsOptional()
+  @IsArray()
+  @ValidateNested({ each: true })
+  @Type(() => EncodingConfig)
+  encodings?: EncodingConfig[];
+}
+
+export class MediaProfile {
+  name: string; // Its key in the file
+
+  @IsOptional()
+  @IsString()
+  description?: string;
+
+  @IsArray()
+  @ArrayNotEmpty()
+  @ValidateNested({ each: true })
+  @Type(() => MediaCodecConfig)
+  mediaCodecs: MediaCodecConfig[];
+
+  // Applied over the BITRATE_* defaults, below BITRATE_LIMITS overrides
+  @IsOptional()
+  @ValidateNested()
+  @Type(() => BitrateLimitsConfig)
+  bitrateLimits?: BitrateLimitsConfig;
+
+  @ValidateNested()
+  @Type(() => TrackSettings)
+  audio: TrackSettings;
+
+  @ValidateNested()
+  @Type(() => VideoSettings)
+  video: VideoSettings;
+}
+
+class MediaProfilesFile {
+  @IsString()
+  defaultProfile: string;
+
+  @IsObject()
+  profiles: Record<string, object>;
+}
+
+let loaded: { defaultProfile: string; profiles: Map<string, MediaProfile> };
+
+function describeErrors(errors: ValidationError[], prefix = ''): string[] {
+  return errors.flatMap((error) => [
+    ...Object.values(error.constraints || {}).map(
+      (message) => `${prefix}${message}`,
+    ),
+    ...describeErrors(error.children || [], `${prefix}${error.property}.`),
+  ]);
+}
+
+function validate<T extends object>(
+  cls: new () => T,
+  plain: object,
+  at: string,
+) {
+  const instance = plainToInstance(cls, plain);
+  const errors = validateSync(instance);
+  if (errors.length) {
+    throw new Error(`Invalid ${at}: ${describeErrors(errors).join('; ')}`);
+  }
+  return instance;
+}
+
+/**
+ * Reads and validates MEDIA_PROFILES_PATH (config/media-profiles.json by
+ * default) once; throws on the first use when the file is invalid, so a bad
+ * file stops the server at startup.
+ */
+function readProfiles() {
+  if (loaded) return loaded;
+
+  const file = path.resolve(
+    process.env.MEDIA_PROFILES_PATH || 'config/media-profiles.json',
+  );
+  let plain: object;
+  try {
+    plain = JSON.parse(readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read media profiles ${file}: ${error.message}`);
+  }
+
+  const config = validate(MediaProfilesFile, plain, file);
+  const profiles = new Map<string, MediaProfile>();
+  for (const [name, value] of Object.entries(config.profiles)) {
+    const profile = validate(MediaProfile, value, `media profile ${name}`);
+    profile.name = name;
+
+    const { codec } = profile.video;
+    if (
+      codec &&
+      !profile.mediaCodecs.some(
+        (c) => c.mimeType.toLowerCase() === codec.toLowerCase(),
+      )
+    ) {
+      throw new Error(`Media profile ${name} sends ${codec} it does not list`);
+    }
+    profiles.set(name, profile);
+  }
+
+  if (!profiles.has(config.defaultProfile)) {
+    throw new Error(`Unknown default media profile ${config.defaultProfile}`);
+  }
+  loaded = { defaultProfile: config.defaultProfile, profiles };
+  return loaded;
+}
+
+export function hasMediaProfile(name: string) {
+  return readProfiles().profiles.has(name);
+}
+
+// The named profile, or the default one
+export function getMediaProfile(name?: string): MediaProfile {
+  const { defaultProfile, profiles } = readProfiles();
+  return profiles.get(name ?? defaultProfile) ?? profiles.get(defaultProfile);
+}
+
+export function listMediaProfiles() {
+  return Array.from(readProfiles().profiles.values()).map(
+    ({ name, description }) => ({ name, description }),
+  );
+}
+
+export function getRouterCodecs(profile: MediaProfile) {
+  return profile.mediaCodecs as RouterOptions['mediaCodecs'];
+}
+
+// The part of a profile clients apply to their own capture and encoders
+export function getClientMediaProfile(name: string) {
+  const profile = getMediaProfile(name);
+  return { name: profile.name, audio: profile.audio, video: profile.video };
+}
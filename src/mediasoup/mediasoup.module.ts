@@ -1,8 +1,9 @@
 import { Module } from '@nestjs/common';
 import { MediasoupService } from './mediasoup.service';
+import { RecordingService } from './recording.service';
 
 @Module({
-  providers: [MediasoupService],
-  exports: [MediasoupService],
+  providers: [MediasoupService, RecordingService],
+  exports: [MediasoupService, RecordingService],
 })
 export class MediasoupModule {}
@@ -1,94 +1,344 @@
-import { Injectable, OnModuleInit } from '@nestjs/common';
+import {
+  Injectable,
+  Logger,
+  OnModuleDestroy,
+  OnModuleInit,
+} from '@nestjs/common';
 import { createWorker } from 'mediasoup';
-import { Router, Worker, AppData } from 'mediasoup/node/lib/types';
+import { EventEmitter } from 'events';
+import * as os from 'os';
+import {
+  ActiveSpeakerObserver,
+  AudioLevelObserver,
+  Producer,
+  Router,
+  WebRtcServer,
+  Worker,
+  AppData,
+} from 'mediasoup/node/lib/types';
+import { BitrateLimits, loadBitrateOverrides } from './bitrate-limits';
+import {
+  getMediaProfile,
+  getRouterCodecs,
+  listMediaProfiles,
+} from './media-profiles';
+import {
+  getListenInfos,
+  getWebRtcServerListenInfos,
+  isWebRtcServerEnabled,
+} from './listen-infos';
+
+/** Thrown while every worker is dead and none could be respawned */
+export class NoWorkersAvailableError extends Error {
+  constructor() {
+    super('No mediasoup workers available');
+  }
+}
 
 @Injectable()
-export class MediasoupService implements OnModuleInit {
-  worker: Worker<AppData>;
-  router: Router<AppData>;
-  transports = new Map();
-  producers = new Map();
-  consumers = new Map();
-  userTransports = new Map();
+export class MediasoupService implements OnModuleInit, OnModuleDestroy {
+  private readonly logger = new Logger(MediasoupService.name);
+  workers: Worker<AppData>[] = [];
+  routers = new Map<string, Router<AppData>>(); // roomId -> router
+
+  // Routers + transports currently hosted by each worker, keyed by pid
+  private workerLoad = new Map<number, number>();
+  // With WEBRTC_SERVER_ENABLED, the server all transports of a worker share
+  private webRtcServers = new Map<number, WebRtcServer<AppData>>(); // pid -> server
+  // Routers still being created, so concurrent joins share one router
+  private pendingRouters = new Map<string, Promise<Router<AppData>>>();
+
+  // Audio observers of each room's router, every audio producer is added
+  private roomObservers = new Map<
+    string,
+    {
+      audioLevel: AudioLevelObserver<AppData>;
+      activeSpeaker: ActiveSpeakerObserver<AppData>;
+    }
+  >();
+
+  /**
+   * - 'routersReset' (roomIds: string[]) after a worker crash once the
+   *   affected rooms have fresh routers. Everything that lived on the old
+   *   routers is gone and clients have to set up their media again.
+   * - 'routerClosed' (roomId) once the room's router is gone for good, so
+   *   per-room state can be dropped.
+   * - 'activeSpeaker' (roomId, producer) when the dominant speaker changes.
+   * - 'audioLevels' (roomId, { producer, volume }[]) periodically, with an
+   *   empty list while the room is silent.
+   */
+  readonly events = new EventEmitter();
 
   async onModuleInit() {
-    this.worker = await createWorker({
-      rtcMinPort: parseInt(process.env.RTC_MIN_PORT) || 40000,
-      rtcMaxPort: parseInt(process.env.RTC_MAX_PORT) || 49999,
+    // Fails startup on a bad profiles file or BITRATE_LIMITS rather than
+    // the first join
+    getMediaProfile();
+    loadBitrateOverrides();
+    this.logger.log({
+      message: 'Media profiles loaded',
+      profiles: listMediaProfiles().map(({ name }) => name),
     });
 
-    this.router = await this.worker.createRouter({
-      mediaCodecs: [
-        {
-          kind: 'audio',
-          mimeType: 'audio/opus',
-          clockRate: 48000,
-          channels: 2,
-          parameters: {
-            'sprop-stereo': 1,
-            'stereo': 1,
-            'useinbandfec': 1, // Forward error correction
-            'usedtx': 0, // Disable discontinuous transmission
-          },
-        },
-        {
-          kind: 'video',
-          mimeType: 'video/VP8',
-          clockRate: 90000,
-          parameters: {
-            'x-google-start-bitrate': 1000,
-          },
-        },
-        {
-          kind: 'video',
-          mimeType: 'video/VP9',
-          clockRate: 90000,
-          parameters: {
-            'profile-id': 2,
-            'x-google-start-bitrate': 1000,
-          },
-        },
-        {
-          kind: 'video',
-          mimeType: 'video/h264',
-          clockRate: 90000,
-          parameters: {
-            'packetization-mode': 1,
-            'profile-level-id': '4d0032',
-            'level-asymmetry-allowed': 1,
-            'x-google-start-bitrate': 1000,
-          },
-        },
-      ],
-    });
+    const numWorkers =
+      parseInt(process.env.MEDIASOUP_NUM_WORKERS) || os.cpus().length;
+
+    for (let slot = 0; slot < numWorkers; slot++) {
+      await this.spawnWorker(slot);
+    }
 
-    console.log('Mediasoup worker + router ready');
+    this.logger.log(`Mediasoup ready with ${this.workers.length} worker(s)`);
   }
 
-  getRtpCapabilities() {
-    return this.router.rtpCapabilities;
+  async onModuleDestroy() {
+    for (const worker of this.workers) {
+      worker.close();
+    }
   }
 
-  async createWebRtcTransport(clientId: string) {
-    const announcedIp = process.env.ANNOUNCED_IP || '127.0.0.1';
-    
-    const transport = await this.router.createWebRtcTransport({
-      listenIps: [{ ip: '0.0.0.0', announcedIp }],
+  /**
+   * Returns the room's router, creating it on the least-loaded worker with
+   * the codecs of the media profile the first time the room is used. The
+   * router's appData.profile is the profile it was created with.
+   */
+  async getOrCreateRouter(roomId: string, profile?: string) {
+    const existing = this.routers.get(roomId);
+    if (existing) return existing;
+
+    let pending = this.pendingRouters.get(roomId);
+    if (!pending) {
+      pending = this.createRouter(roomId, profile).finally(() =>
+        this.pendingRouters.delete(roomId),
+      );
+      this.pendingRouters.set(roomId, pending);
+    }
+    return pending;
+  }
+
+  getRouter(roomId: string) {
+    const router = this.routers.get(roomId);
+    if (!router) {
+      throw new Error(`No router for room ${roomId}`);
+    }
+    return router;
+  }
+
+  closeRouter(roomId: string) {
+    const router = this.routers.get(roomId);
+    if (!router) return;
+
+    router.close();
+    this.logger.log({ message: 'Router closed', roomId });
+  }
+
+  getRtpCapabilities(roomId: string) {
+    return this.getRouter(roomId).rtpCapabilities;
+  }
+
+  async createWebRtcTransport(
+    clientId: string,
+    roomId: string,
+    limits: BitrateLimits,
+  ) {
+    const router = this.getRouter(roomId);
+    const webRtcServer = this.webRtcServers.get(
+      router.appData.workerPid as number,
+    );
+
+    const transport = await router.createWebRtcTransport({
+      // One port per transport unless the worker has a WebRtcServer
+      ...(webRtcServer ? { webRtcServer } : { listenInfos: getListenInfos() }),
       enableUdp: true,
       enableTcp: true,
       preferUdp: true,
-      initialAvailableOutgoingBitrate: 1000000,
+      enableSctp: true, // DataChannels, e.g. the room chat
+      initialAvailableOutgoingBitrate: limits.initialOutgoingBitrate,
+      appData: { clientId, roomId },
     });
+    await transport.setMaxIncomingBitrate(limits.maxIncomingBitrate);
+    await transport.setMaxOutgoingBitrate(limits.maxOutgoingBitrate);
 
-    this.transports.set(transport.id, transport);
+    this.addWorkerLoad(router.appData.workerPid as number, 1);
 
-    // keep track of client transports
-    if (!this.userTransports.has(clientId)) {
-      this.userTransports.set(clientId, {});
-    }
+    // The observer fires however the transport ends up closed (explicitly,
+    // by router close or by worker death), so the load never drifts
+    transport.observer.once('close', () => {
+      this.addWorkerLoad(router.appData.workerPid as number, -1);
+    });
 
-    console.log('Transport created with ICE candidates:', transport.iceCandidates);
+    this.logger.debug({
+      message: 'WebRTC transport created',
+      clientId,
+      roomId,
+      transportId: transport.id,
+      iceCandidates: transport.iceCandidates,
+    });
 
     return transport;
   }
+
+  // Feeds microphones, local or piped in from other nodes, to the room's level
+  // and active speaker observers, so the audio of a shared screen never
+  // makes its presenter the speaker
+  async observeProducer(roomId: string, producer: Producer) {
+    // Closed producers leave the observers on their own
+    const observers = this.roomObservers.get(roomId);
+    if (
+      producer.kind === 'audio' &&
+      producer.appData.source !== 'screen-audio' &&
+      observers
+    ) {
+      await observers.audioLevel.addProducer({ producerId: producer.id });
+      await observers.activeSpeaker.addProducer({ producerId: producer.id });
+    }
+  }
+
+  private async createRouter(roomId: string, profileName?: string) {
+    const worker = this.selectWorker();
+    const profile = getMediaProfile(profileName);
+    const router = await worker.createRouter({
+      mediaCodecs: getRouterCodecs(profile),
+      appData: { roomId, workerPid: worker.pid, profile: profile.name },
+    });
+
+    this.routers.set(roomId, router);
+    this.addWorkerLoad(worker.pid, 1);
+    await this.createRoomObservers(roomId, router);
+
+    router.observer.once('close', () => {
+      // Keep routers of a crashed worker around, handleWorkerDied() needs
+      // them to know which rooms to rebuild
+      if (worker.died) return;
+      this.routers.delete(roomId);
+      this.roomObservers.delete(roomId);
+      this.addWorkerLoad(worker.pid, -1);
+      this.events.emit('routerClosed', roomId);
+    });
+
+    this.logger.log({
+      message: 'Router created',
+      roomId,
+      workerPid: worker.pid,
+      profile: profile.name,
+    });
+    return router;
+  }
+
+  private async createRoomObservers(roomId: string, router: Router<AppData>) {
+    const audioLevel = await router.createAudioLevelObserver({
+      maxEntries: 10,
+      threshold: -70, // dBvo, anything quieter counts as silence
+      interval: 800,
+    });
+    const activeSpeaker = await router.createActiveSpeakerObserver({
+      interval: 300,
+    });
+
+    audioLevel.on('volumes', (volumes) => {
+      this.events.emit(
+        'audioLevels',
+        roomId,
+        volumes.map(({ producer, volume }) => ({ producer, volume })),
+      );
+    });
+    audioLevel.on('silence', () => {
+      this.events.emit('audioLevels', roomId, []);
+    });
+    activeSpeaker.on('dominantspeaker', ({ producer }) => {
+      this.events.emit('activeSpeaker', roomId, producer);
+    });
+
+    this.roomObservers.set(roomId, { audioLevel, activeSpeaker });
+  }
+
+  // The slot is the worker's place in the pool, kept by its replacement
+  // after a crash so the WebRtcServer gets the same ports back
+  private async spawnWorker(slot: number) {
+    const worker = await createWorker({
+      rtcMinPort: parseInt(process.env.RTC_MIN_PORT) || 40000,
+      rtcMaxPort: parseInt(process.env.RTC_MAX_PORT) || 49999,
+      appData: { slot },
+    });
+
+    if (isWebRtcServerEnabled()) {
+      const listenInfos = getWebRtcServerListenInfos(slot);
+      this.webRtcServers.set(
+        worker.pid,
+        await worker.createWebRtcServer({ listenInfos }),
+      );
+      this.logger.log({
+        message: 'WebRtcServer listening',
+        workerPid: worker.pid,
+        listenInfos,
+      });
+    }
+
+    worker.on('died', (error) => {
+      this.handleWorkerDied(worker, error).catch((err) =>
+        this.logger.error(
+          {
+            message: 'Failed to recover from worker crash',
+            workerPid: worker.pid,
+          },
+          err.stack,
+        ),
+      );
+    });
+
+    this.workers.push(worker);
+    this.workerLoad.set(worker.pid, 0);
+    return worker;
+  }
+
+  private async handleWorkerDied(worker: Worker<AppData>, error: Error) {
+    this.logger.error(
+      {
+        message: `Mediasoup worker died: ${error.message}`,
+        workerPid: worker.pid,
+      },
+      error.stack,
+    );
+
+    this.workers = this.workers.filter((w) => w !== worker);
+    this.workerLoad.delete(worker.pid);
+    this.webRtcServers.delete(worker.pid);
+
+    // Rebuilt with the media profile they had
+    const affected = Array.from(this.routers.entries())
+      .filter(([, router]) => router.appData.workerPid === worker.pid)
+      .map(([roomId, router]) => ({
+        roomId,
+        profile: router.appData.profile as string,
+      }));
+    const affectedRooms = affected.map(({ roomId }) => roomId);
+    for (const roomId of affectedRooms) {
+      this.routers.delete(roomId);
+    }
+
+    await this.spawnWorker(worker.appData.slot as number);
+
+    for (const { roomId, profile } of affected) {
+      await this.getOrCreateRouter(roomId, profile);
+    }
+    if (affectedRooms.length > 0) {
+      this.logger.warn({
+        message: 'Rebuilt routers after worker crash',
+        roomIds: affectedRooms,
+      });
+      this.events.emit('routersReset', affectedRooms);
+    }
+  }
+
+  private selectWorker() {
+    if (this.workers.length === 0) throw new NoWorkersAvailableError();
+    return this.workers.reduce((best, worker) =>
+      this.workerLoad.get(worker.pid) < this.workerLoad.get(best.pid)
+        ? worker
+        : best,
+    );
+  }
+
+  private addWorkerLoad(pid: number, delta: number) {
+    if (!this.workerLoad.has(pid)) return;
+    this.workerLoad.set(pid, this.workerLoad.get(pid) + delta);
+  }
 }
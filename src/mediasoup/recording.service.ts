@@ -0,0 +1,341 @@
+import { Injectable, Logger, OnModuleDestroy } from '@nestjs/common';
+import { ChildProcess, spawn } from 'child_process';
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import {
+  Consumer,
+  PlainTransport,
+  Producer,
+  RtpCodecParameters,
+} from 'mediasoup/node/lib/types';
+import { MediasoupService } from './mediasoup.service';
+
+// One producer being written to disk by its own ffmpeg process
+interface RecordingTrack {
+  producerId: string;
+  clientId: string;
+  transport: PlainTransport;
+  consumer: Consumer;
+  ffmpeg: ChildProcess;
+  sdpPath: string;
+  filePath: string;
+  rtpPort: number;
+}
+
+export interface Recording {
+  roomId: string;
+  startedAt: Date;
+  directory: string;
+  tracks: Map<string, RecordingTrack>; // producerId -> track
+  files: string[]; // Every file written so far, including finished tracks
+}
+
+// Container ffmpeg writes for each codec, all without re-encoding
+const CONTAINERS: Record<string, { format: string; extension: string }> = {
+  'audio/opus': { format: 'ogg', extension: 'ogg' },
+  'video/vp8': { format: 'webm', extension: 'webm' },
+  'video/vp9': { format: 'webm', extension: 'webm' },
+  'video/h264': { format: 'matroska', extension: 'mkv' },
+};
+
+/**
+ * Records rooms by consuming every producer over a local PlainTransport and
+ * having ffmpeg write the RTP it receives straight into a file.
+ */
+@Injectable()
+export class RecordingService implements OnModuleDestroy {
+  private readonly logger = new Logger(RecordingService.name);
+  private recordings = new Map<string, Recording>(); // roomId -> recording
+  private usedPorts = new Set<number>();
+
+  constructor(private readonly ms: MediasoupService) {}
+
+  async onModuleDestroy() {
+    for (const roomId of Array.from(this.recordings.keys())) {
+      await this.stop(roomId);
+    }
+  }
+
+  isRecording(roomId: string) {
+    return this.recordings.has(roomId);
+  }
+
+  getRecording(roomId: string) {
+    return this.recordings.get(roomId);
+  }
+
+  async start(
+    roomId: string,
+    producers: { clientId: string; producer: Producer }[],
+  ) {
+    if (this.recordings.has(roomId)) {
+      throw new Error(`Room ${roomId} is already being recorded`);
+    }
+
+    // Room ids come from clients: encoded, `../x` becomes one `%2E%2E%2Fx`
+    // directory, and the check below catches anything that slips through
+    const startedAt = new Date();
+    const baseDir = path.resolve(process.env.RECORDING_DIR || 'recordings');
+    const directory = path.resolve(
+      baseDir,
+      encodeURIComponent(roomId).replace(/\./g, '%2E'),
+      startedAt.toISOString().replace(/[:.]/g, '-'),
+    );
+    if (!directory.startsWith(baseDir + path.sep)) {
+      throw new Error(`Refusing to record room ${roomId} outside ${baseDir}`);
+    }
+    await fs.mkdir(directory, { recursive: true });
+
+    const recording: Recording = {
+      roomId,
+      startedAt,
+      directory,
+      tracks: new Map(),
+      files: [],
+    };
+    this.recordings.set(roomId, recording);
+    this.logger.log({ message: 'Recording room', roomId, directory });
+
+    for (const { clientId, producer } of producers) {
+      await this.addProducer(roomId, clientId, producer);
+    }
+    return recording;
+  }
+
+  /**
+   * Starts writing one more producer. Called for the producers present when
+   * the recording starts and for every producer created while it runs.
+   */
+  async addProducer(roomId: string, clientId: string, producer: Producer) {
+    const recording = this.recordings.get(roomId);
+    if (!recording || recording.tracks.has(producer.id)) return;
+
+    // Failures are logged, never thrown: the producer is live already and
+    // its `produce` request must not fail over the recording
+    let rtpPort: number | undefined;
+    let transport: PlainTransport | undefined;
+
+    try {
+      const router = this.ms.getRouter(roomId);
+      rtpPort = this.allocatePorts();
+      transport = await router.createPlainTransport({
+        listenIp: '127.0.0.1',
+        rtcpMux: false,
+        comedia: false,
+      });
+      await transport.connect({
+        ip: '127.0.0.1',
+        port: rtpPort,
+        rtcpPort: rtpPort + 1,
+      });
+
+      // Paused until ffmpeg listens, so the first keyframe is not lost
+      const consumer = await transport.consume({
+        producerId: producer.id,
+        rtpCapabilities: router.rtpCapabilities,
+        paused: true,
+      });
+
+      const codec = consumer.rtpParameters.codecs[0];
+      const container = CONTAINERS[codec.mimeType.toLowerCase()];
+      if (!container) {
+        throw new Error(`Cannot record codec ${codec.mimeType}`);
+      }
+
+      const baseName = `${clientId}-${producer.kind}-${producer.id}`;
+      const sdpPath = path.join(recording.directory, `${baseName}.sdp`);
+      const filePath = path.join(
+        recording.directory,
+        `${baseName}.${container.extension}`,
+      );
+      await fs.writeFile(
+        sdpPath,
+        this.createSdp(producer.kind, rtpPort, codec),
+      );
+
+      const ffmpeg = this.spawnFfmpeg(sdpPath, filePath, container.format);
+      const track: RecordingTrack = {
+        producerId: producer.id,
+        clientId,
+        transport,
+        consumer,
+        ffmpeg,
+        sdpPath,
+        filePath,
+        rtpPort,
+      };
+      recording.tracks.set(producer.id, track);
+      recording.files.push(filePath);
+
+      // Producer closed mid-recording or the room's router went away
+      consumer.on('producerclose', () => this.stopTrack(recording, track));
+      consumer.on('transportclose', () => this.stopTrack(recording, track));
+      ffmpeg.on('error', () => this.stopTrack(recording, track));
+      ffmpeg.on('exit', (code) => {
+        if (recording.tracks.get(producer.id) === track) {
+          this.logger.warn({
+            message: `ffmpeg exited with ${code}`,
+            roomId,
+            producerId: producer.id,
+          });
+          this.stopTrack(recording, track);
+        }
+      });
+
+      setTimeout(async () => {
+        if (consumer.closed) return;
+        try {
+          await consumer.resume();
+          if (consumer.kind === 'video') {
+            await consumer.requestKeyFrame();
+          }
+        } catch (error) {
+          // Closed in the meantime, the track is being stopped anyway
+          this.logger.warn({
+            message: `Could not start recording consumer: ${error.message}`,
+            roomId,
+            producerId: producer.id,
+          });
+        }
+      }, 1000);
+
+      this.logger.log({
+        message: `Recording ${producer.kind}`,
+        clientId,
+        roomId,
+        producerId: producer.id,
+        filePath,
+      });
+    } catch (error) {
+      // Closing the transport closes its consumer too
+      transport?.close();
+      if (rtpPort !== undefined) this.releasePorts(rtpPort);
+      this.logger.error(
+        {
+          message: `Could not record producer: ${error.message}`,
+          clientId,
+          roomId,
+          producerId: producer.id,
+        },
+        error.stack,
+      );
+    }
+  }
+
+  /**
+   * Stops every track and returns the finished recording, or undefined when
+   * the room was not being recorded.
+   */
+  async stop(roomId: string) {
+    const recording = this.recordings.get(roomId);
+    if (!recording) return undefined;
+
+    this.recordings.delete(roomId);
+    await Promise.all(
+      Array.from(recording.tracks.values()).map((track) =>
+        this.stopTrack(recording, track),
+      ),
+    );
+
+    this.logger.log({ message: 'Recording stopped', roomId });
+    return recording;
+  }
+
+  private async stopTrack(recording: Recording, track: RecordingTrack) {
+    if (recording.tracks.get(track.producerId) !== track) return;
+    recording.tracks.delete(track.producerId);
+
+    track.transport.close();
+    this.releasePorts(track.rtpPort);
+
+    // SIGINT lets ffmpeg write the container trailer before exiting; a pid
+    // is missing when ffmpeg could not be spawned at all
+    if (track.ffmpeg.exitCode === null && track.ffmpeg.pid !== undefined) {
+      const exited = new Promise((resolve) =>
+        track.ffmpeg.once('exit', resolve),
+      );
+      const killTimer = setTimeout(() => track.ffmpeg.kill('SIGKILL'), 5000);
+      track.ffmpeg.kill('SIGINT');
+      await exited;
+      clearTimeout(killTimer);
+    }
+    await fs.rm(track.sdpPath, { force: true });
+    this.logger.log({
+      message: 'Recording track finished',
+      roomId: recording.roomId,
+      producerId: track.producerId,
+      filePath: track.filePath,
+    });
+  }
+
+  private spawnFfmpeg(sdpPath: string, filePath: string, format: string) {
+    // prettier-ignore
+    const args = [
+      '-loglevel', 'warning',
+      '-protocol_whitelist', 'file,rtp,udp',
+      '-fflags', '+genpts',
+      '-i', sdpPath,
+      '-map', '0',
+      '-c', 'copy',
+      '-f', format,
+      filePath,
+    ];
+    const ffmpeg = spawn(process.env.FFMPEG_PATH || 'ffmpeg', args, {
+      stdio: ['ignore', 'ignore', 'pipe'],
+    });
+
+    ffmpeg.stderr.on('data', (data) =>
+      this.logger.warn({
+        message: `ffmpeg: ${String(data).trim()}`,
+        file: path.basename(filePath),
+      }),
+    );
+    ffmpeg.on('error', (error) =>
+      this.logger.error({ message: `Failed to run ffmpeg: ${error.message}` }),
+    );
+    return ffmpeg;
+  }
+
+  private createSdp(kind: string, rtpPort: number, codec: RtpCodecParameters) {
+    const [, codecName] = codec.mimeType.split('/');
+    const pt = codec.payloadType;
+    const rtpmap = codec.channels
+      ? `${codecName}/${codec.clockRate}/${codec.channels}`
+      : `${codecName}/${codec.clockRate}`;
+    const fmtp = Object.entries(codec.parameters || {})
+      .map(([key, value]) => `${key}=${value}`)
+      .join(';');
+
+    return [
+      'v=0',
+      'o=- 0 0 IN IP4 127.0.0.1',
+      's=mediasoup recording',
+      'c=IN IP4 127.0.0.1',
+      't=0 0',
+      `m=${kind} ${rtpPort} RTP/AVP ${pt}`,
+      `a=rtcp:${rtpPort + 1}`,
+      `a=rtpmap:${pt} ${rtpmap}`,
+      ...(fmtp ? [`a=fmtp:${pt} ${fmtp}`] : []),
+      'a=recvonly',
+      '',
+    ].join('\n');
+  }
+
+  // Returns an even RTP port whose odd neighbour is free for RTCP
+  private allocatePorts() {
+    const minPort = parseInt(process.env.RECORDING_MIN_PORT) || 50000;
+    const maxPort = parseInt(process.env.RECORDING_MAX_PORT) || 50999;
+
+    for (let port = minPort + (minPort % 2); port < maxPort; port += 2) {
+      if (!this.usedPorts.has(port)) {
+        this.usedPorts.add(port);
+        return port;
+      }
+    }
+    throw new Error('No free recording ports');
+  }
+
+  private releasePorts(rtpPort: number) {
+    this.usedPorts.delete(rtpPort);
+  }
+}
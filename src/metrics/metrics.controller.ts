@@ -0,0 +1,15 @@
+import { Controller, Get, Res } from '@nestjs/common';
+import { Response } from 'express';
+import { MetricsService } from './metrics.service';
+
+@Controller('metrics')
+export class MetricsController {
+  constructor(private readonly metrics: MetricsService) {}
+
+  // Prometheus text exposition format
+  @Get()
+  async getMetrics(@Res() res: Response) {
+    res.set('Content-Type', this.metrics.contentType);
+    res.send(await this.metrics.metrics());
+  }
+}
@@ -0,0 +1,13 @@
+import { Module } from '@nestjs/common';
+import { MediasoupModule } from 'src/mediasoup/mediasoup.module';
+import { RoomsModule } from 'src/rooms/rooms.module';
+import { MetricsController } from './metrics.controller';
+import { MetricsService } from './metrics.service';
+
+@Module({
+  imports: [MediasoupModule, RoomsModule],
+  controllers: [MetricsController],
+  providers: [MetricsService],
+  exports: [MetricsService],
+})
+export class MetricsModule {}
@@ -0,0 +1,262 @@
+import { Injectable } from '@nestjs/common';
+import {
+  Counter,
+  Gauge,
+  Histogram,
+  Registry,
+  collectDefaultMetrics,
+} from 'prom-client';
+import { MediasoupService } from '../mediasoup/mediasoup.service';
+import { Peer } from '../rooms/peer';
+import { RoomService } from '../rooms/room.service';
+
+/**
+ * Prometheus metrics of this server. Counters and histograms are updated as
+ * things happen; gauges read the current state of the rooms and workers when
+ * /metrics is scraped.
+ */
+@Injectable()
+export class MetricsService {
+  readonly registry = new Registry();
+
+  readonly iceStateChanges = new Counter({
+    name: 'sfu_transport_ice_state_changes_total',
+    help: 'WebRTC transport ICE state transitions, by new state',
+    labelNames: ['state'],
+    registers: [this.registry],
+  });
+
+  readonly dtlsStateChanges = new Counter({
+    name: 'sfu_transport_dtls_state_changes_total',
+    help: 'WebRTC transport DTLS state transitions, by new state',
+    labelNames: ['state'],
+    registers: [this.registry],
+  });
+
+  readonly signalingDuration = new Histogram({
+    name: 'sfu_signaling_request_duration_seconds',
+    help: 'Time taken to handle a signaling message, by event',
+    labelNames: ['event', 'outcome'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+    registers: [this.registry],
+  });
+
+  readonly signalingErrors = new Counter({
+    name: 'sfu_signaling_errors_total',
+    help: 'Signaling messages answered with an error, by event and code',
+    labelNames: ['event', 'code'],
+    registers: [this.registry],
+  });
+
+  constructor(
+    private readonly ms: MediasoupService,
+    private readonly rooms: RoomService,
+  ) {
+    collectDefaultMetrics({ register: this.registry, prefix: 'sfu_process_' });
+    this.registerMediaGauges();
+    this.registerWorkerGauges();
+    this.registerQualityGauges();
+  }
+
+  get contentType() {
+    return this.registry.contentType;
+  }
+
+  metrics() {
+    return this.registry.metrics();
+  }
+
+  private registerMediaGauges() {
+    const rooms = this.rooms;
+    const count = (pick: (peer: Peer) => Map<string, unknown>) =>
+      rooms
+        .listLocalRooms()
+        .flatMap((room) => Array.from(room.peers.values()))
+        .reduce((total, peer) => total + pick(peer).size, 0);
+
+    new Gauge({
+      name: 'sfu_rooms',
+      help: 'Rooms with at least one peer on this server',
+      registers: [this.registry],
+      collect() {
+        this.set(rooms.counts().rooms);
+      },
+    });
+    new Gauge({
+      name: 'sfu_peers',
+      help: 'Peers connected to this server, pseudo peers included',
+      registers: [this.registry],
+      collect() {
+        this.set(rooms.counts().peers);
+      },
+    });
+    new Gauge({
+      name: 'sfu_transports',
+      help: 'Open WebRTC transports',
+      registers: [this.registry],
+      collect() {
+        this.set(count((peer) => peer.transports));
+      },
+    });
+    new Gauge({
+      name: 'sfu_producers',
+      help: 'Open producers',
+      registers: [this.registry],
+      collect() {
+        this.set(count((peer) => peer.producers));
+      },
+    });
+    new Gauge({
+      name: 'sfu_consumers',
+      help: 'Open consumers',
+      registers: [this.registry],
+      collect() {
+        this.set(count((peer) => peer.consumers));
+      },
+    });
+  }
+
+  // CPU and memory of every mediasoup worker process
+  private registerWorkerGauges() {
+    const ms = this.ms;
+    // A worker that died since the last scrape is left out, not an error
+    const usage = async () =>
+      settled(
+        await Promise.allSettled(
+          ms.workers.map(async (worker) => ({
+            pid: String(worker.pid),
+            usage: await worker.getResourceUsage(),
+          })),
+        ),
+      );
+
+    new Gauge({
+      name: 'sfu_worker_cpu_seconds',
+      help: 'CPU time used by a mediasoup worker, by mode',
+      labelNames: ['pid', 'mode'],
+      registers: [this.registry],
+      async collect() {
+        this.reset();
+        for (const { pid, usage: ru } of await usage()) {
+          this.set({ pid, mode: 'user' }, ru.ru_utime / 1000);
+          this.set({ pid, mode: 'system' }, ru.ru_stime / 1000);
+        }
+      },
+    });
+    new Gauge({
+      name: 'sfu_worker_max_rss_bytes',
+      help: 'Peak resident memory of a mediasoup worker',
+      labelNames: ['pid'],
+      registers: [this.registry],
+      async collect() {
+        this.reset();
+        for (const { pid, usage: ru } of await usage()) {
+          this.set({ pid }, ru.ru_maxrss * 1024);
+        }
+      },
+    });
+  }
+
+  /**
+   * Bitrates and scores per room and kind. Labelling by transport, producer
+   * or consumer id would create a series for every stream ever opened.
+   */
+  private registerQualityGauges() {
+    const rooms = this.rooms;
+
+    new Gauge({
+      name: 'sfu_transport_bitrate_bps',
+      help: 'Current bitrate of the WebRTC transports of a room, by direction',
+      labelNames: ['room', 'direction'],
+      registers: [this.registry],
+      async collect() {
+        this.reset();
+        await Promise.all(
+          rooms.listLocalRooms().map(async (room) => {
+            const transports = Array.from(room.peers.values()).flatMap((peer) =>
+              Array.from(peer.transports.values()),
+            );
+            // Transports closed during the scrape reject, skip them
+            const stats = settled(
+              await Promise.allSettled(
+                transports.map((transport) => transport.getStats()),
+              ),
+            ).flatMap(([stat]) => (stat ? [stat] : []));
+
+            const sum = (pick: (stat: (typeof stats)[number]) => number) =>
+              stats.reduce((total, stat) => total + pick(stat), 0);
+            this.set(
+              { room: room.id, direction: 'recv' },
+              sum((stat) => stat.recvBitrate),
+            );
+            this.set(
+              { room: room.id, direction: 'send' },
+              sum((stat) => stat.sendBitrate),
+            );
+          }),
+        );
+      },
+    });
+    new Gauge({
+      name: 'sfu_producer_score',
+      help: 'Average quality score (0-10) of the streams producers receive, by room and kind',
+      labelNames: ['room', 'kind'],
+      registers: [this.registry],
+      collect() {
+        this.reset();
+        for (const room of rooms.listLocalRooms()) {
+          const scores: Record<'audio' | 'video', number[]> = {
+            audio: [],
+            video: [],
+          };
+          for (const { producer } of room.listProducers()) {
+            scores[producer.kind].push(
+              ...producer.score.map(({ score }) => score),
+            );
+          }
+          setAverages(this, room.id, scores);
+        }
+      },
+    });
+    new Gauge({
+      name: 'sfu_consumer_score',
+      help: 'Average quality score (0-10) of the streams consumers send, by room and kind',
+      labelNames: ['room', 'kind'],
+      registers: [this.registry],
+      collect() {
+        this.reset();
+        for (const room of rooms.listLocalRooms()) {
+          const scores: Record<'audio' | 'video', number[]> = {
+            audio: [],
+            video: [],
+          };
+          for (const peer of room.peers.values()) {
+            for (const consumer of peer.consumers.values()) {
+              scores[consumer.kind].push(consumer.score.score);
+            }
+          }
+          setAverages(this, room.id, scores);
+        }
+      },
+    });
+  }
+}
+
+function settled<T>(results: PromiseSettledResult<T>[]): T[] {
+  return results.flatMap((result) =>
+    result.status === 'fulfilled' ? [result.value] : [],
+  );
+}
+
+// Sets the average score of each kind that has any stream in the room
+function setAverages(
+  gauge: Gauge<'room' | 'kind'>,
+  room: string,
+  scores: Record<'audio' | 'video', number[]>,
+) {
+  for (const [kind, values] of Object.entries(scores)) {
+    if (!values.length) continue;
+    const total = values.reduce((sum, value) => sum + value, 0);
+    gauge.set({ room, kind }, total / values.length);
+  }
+}
@@ -0,0 +1,57 @@
+import { AppData, MediaKind, Producer } from 'mediasoup/node/lib/types';
+
+// What a producer carries; a peer has at most one producer per source
+export const PRODUCER_SOURCES = [
+  'mic',
+  'webcam',
+  'screen',
+  'screen-audio',
+  'custom',
+] as const;
+
+export type ProducerSource = (typeof PRODUCER_SOURCES)[number];
+
+// Kind each source must have, custom producers may be either
+const SOURCE_KINDS: Record<ProducerSource, MediaKind | undefined> = {
+  mic: 'audio',
+  webcam: 'video',
+  screen: 'video',
+  'screen-audio': 'audio',
+  custom: undefined,
+};
+
+// appData clients attach to their producers
+export interface ProducerAppData {
+  source: ProducerSource;
+  metadata?: Record<string, unknown>; // Free-form, passed on to other clients
+}
+
+// Shared screens, which a host mute leaves alone
+export function isScreenSource(source: unknown) {
+  return source === 'screen' || source === 'screen-audio';
+}
+
+export function isSourceKind(source: ProducerSource, kind: MediaKind) {
+  const expected = SOURCE_KINDS[source];
+  return !expected || expected === kind;
+}
+
+// Older clients send no appData: their audio is the mic, their video the webcam
+export function getDefaultSource(kind: MediaKind): ProducerSource {
+  return kind === 'audio' ? 'mic' : 'webcam';
+}
+
+// Keys the server sets on producer appData itself
+const SERVER_KEYS = ['clientId', 'nodeId'];
+
+/**
+ * The appData the producing client attached, e.g. { source: 'screen' },
+ * without what the server added. This is what other clients get to see.
+ */
+export function getClientAppData(producer: Producer): AppData {
+  return Object.fromEntries(
+    Object.entries(producer.appData).filter(
+      ([key]) => !SERVER_KEYS.includes(key),
+    ),
+  );
+}
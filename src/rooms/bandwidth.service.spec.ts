@@ -0,0 +1,174 @@
+import { EventEmitter } from 'events';
+import { Consumer, WebRtcTransport } from 'mediasoup/node/lib/types';
+import { MediasoupService } from '../mediasoup/mediasoup.service';
+import { BandwidthService } from './bandwidth.service';
+import { Peer } from './peer';
+import { RoomService } from './room.service';
+
+// A video consumer with what adaptation reads and the calls it makes
+function fakeConsumer(id: string, priority: number, type = 'simulcast') {
+  return {
+    id,
+    kind: 'video',
+    type,
+    priority,
+    paused: false,
+    producerPaused: false,
+    appData: { bandwidth: 'ok' },
+    pause: jest.fn(function () {
+      this.paused = true;
+      return Promise.resolve();
+    }),
+    resume: jest.fn(function () {
+      this.paused = false;
+      return Promise.resolve();
+    }),
+    setPreferredLayers: jest.fn().mockResolvedValue(undefined),
+  } as unknown as Consumer & {
+    pause: jest.Mock;
+    resume: jest.Mock;
+    setPreferredLayers: jest.Mock;
+  };
+}
+
+// Lets the async handler of a trace event run to its end
+const settle = () =>
+  new Promise((resolve) => jest.requireActual('timers').setImmediate(resolve));
+
+describe('BandwidthService', () => {
+  let service: BandwidthService;
+  let transport: EventEmitter & { appData: Record<string, unknown> };
+  let peer: Peer;
+  let speaker: ReturnType<typeof fakeConsumer>;
+  let other: ReturnType<typeof fakeConsumer>;
+
+  // An estimate of `available` bps where the consumers want 1 Mbps
+  const estimate = async (available: number) => {
+    transport.emit('trace', {
+      type: 'bwe',
+      info: {
+        desiredBitrate: 1000000,
+        effectiveDesiredBitrate: 1000000,
+        availableBitrate: available,
+      },
+    });
+    await settle();
+  };
+  const states = () => [speaker.appData.bandwidth, other.appData.bandwidth];
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate'] });
+    service = new BandwidthService(
+      { events: new EventEmitter() } as unknown as MediasoupService,
+      {} as RoomService,
+    );
+
+    transport = Object.assign(new EventEmitter(), {
+      appData: {},
+      enableTraceEvent: jest.fn().mockResolvedValue(undefined),
+    });
+    speaker = fakeConsumer('speaker', 2);
+    other = fakeConsumer('other', 1);
+    peer = {
+      id: 'a',
+      roomId: 'lobby',
+      consumers: new Map([
+        ['speaker', speaker],
+        ['other', other],
+      ]),
+    } as unknown as Peer;
+
+    await service.watch(peer, transport as unknown as WebRtcTransport);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('leaves consumers alone while the estimate covers them', async () => {
+    await estimate(1000000);
+
+    expect(states()).toEqual(['ok', 'ok']);
+    expect(other.setPreferredLayers).not.toHaveBeenCalled();
+  });
+
+  it('degrades the least important video first, one step per estimate', async () => {
+    await estimate(500000);
+    expect(states()).toEqual(['ok', 'downgraded']);
+    expect(other.setPreferredLayers).toHaveBeenLastCalledWith({
+      spatialLayer: 0,
+      temporalLayer: undefined,
+    });
+
+    await estimate(500000);
+    expect(states()).toEqual(['downgraded', 'downgraded']);
+
+    await estimate(500000);
+    expect(states()).toEqual(['downgraded', 'paused']);
+    expect(other.pause).toHaveBeenCalled();
+  });
+
+  it('pauses video without layers instead of downgrading it', async () => {
+    const single = fakeConsumer('single', 1, 'simple');
+    peer.consumers.delete('other');
+    peer.consumers.set('single', single);
+
+    await estimate(500000);
+
+    expect(single.appData.bandwidth).toBe('paused');
+    expect(speaker.appData.bandwidth).toBe('ok');
+  });
+
+  it('waits out the cooldown before upgrading again', async () => {
+    await estimate(500000);
+    await estimate(500000);
+    await estimate(500000);
+    expect(states()).toEqual(['downgraded', 'paused']);
+
+    // Between the ratios nothing changes, however long it lasts
+    jest.advanceTimersByTime(60000);
+    await estimate(1200000);
+    expect(states()).toEqual(['downgraded', 'paused']);
+
+    // Plenty of headroom, but a downgrade just happened
+    await estimate(500000);
+    expect(states()).toEqual(['paused', 'paused']);
+    jest.advanceTimersByTime(5000);
+    await estimate(2000000);
+    expect(states()).toEqual(['paused', 'paused']);
+
+    // Most important first, back through the low layer
+    jest.advanceTimersByTime(6000);
+    await estimate(2000000);
+    expect(states()).toEqual(['downgraded', 'paused']);
+    expect(speaker.resume).toHaveBeenCalled();
+
+    await estimate(2000000);
+    expect(states()).toEqual(['downgraded', 'downgraded']);
+
+    await estimate(2000000);
+    expect(states()).toEqual(['ok', 'downgraded']);
+    expect(speaker.setPreferredLayers).toHaveBeenLastCalledWith({
+      spatialLayer: 2,
+      temporalLayer: 2,
+    });
+  });
+
+  it('restores the layers the client asked for when upgrading', async () => {
+    await service.setPreferredLayers(other, {
+      spatialLayer: 1,
+      temporalLayer: 1,
+    });
+    await estimate(500000);
+    expect(states()).toEqual(['ok', 'downgraded']);
+
+    jest.advanceTimersByTime(10001);
+    await estimate(2000000);
+
+    expect(states()).toEqual(['ok', 'ok']);
+    expect(other.setPreferredLayers).toHaveBeenLastCalledWith({
+      spatialLayer: 1,
+      temporalLayer: 1,
+    });
+  });
+});
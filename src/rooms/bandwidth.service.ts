@@ -0,0 +1,216 @@
+import { Injectable, Logger, OnModuleInit } from '@nestjs/common';
+import { EventEmitter } from 'events';
+import {
+  Consumer,
+  ConsumerLayers,
+  TransportTraceEventData,
+  WebRtcTransport,
+} from 'mediasoup/node/lib/types';
+import { MediasoupService } from '../mediasoup/mediasoup.service';
+import { Peer } from './peer';
+import { RoomService } from './room.service';
+
+// What bandwidth adaptation currently does to a video consumer
+export type BandwidthState = 'ok' | 'downgraded' | 'paused';
+
+// consumer.setPriority values: mediasoup hands out the available bitrate to
+// higher priorities first
+const AUDIO_PRIORITY = 3;
+const SPEAKER_VIDEO_PRIORITY = 2; // Also shared screens
+const VIDEO_PRIORITY = 1;
+
+// A transport is congested when the estimate falls below this share of what
+// its consumers want, and has room for more above the second ratio
+const CONGESTED_RATIO = 0.9;
+const HEADROOM_RATIO = 1.5;
+
+// Time after a downgrade before anything on the transport is upgraded again,
+// so a consumer is not paused and resumed on every estimate
+const UPGRADE_COOLDOWN_MS = 10000;
+
+interface BweInfo {
+  desiredBitrate: number;
+  effectiveDesiredBitrate: number;
+  availableBitrate: number;
+}
+
+/**
+ * Adapts what each client receives to the bandwidth mediasoup estimates
+ * towards it. Audio always has the highest priority and the active
+ * speaker's video the next; when the estimate drops, the least important
+ * video consumer goes down to its lowest layer, then is paused, one step per
+ * estimate, and comes back the same way once there is headroom again.
+ *
+ * Emits 'consumerBandwidthChanged' (clientId, consumer, state) whenever a
+ * video consumer changes state.
+ */
+@Injectable()
+export class BandwidthService implements OnModuleInit {
+  private readonly logger = new Logger(BandwidthService.name);
+  private activeSpeakers = new Map<string, string>(); // roomId -> clientId
+
+  readonly events = new EventEmitter();
+
+  constructor(
+    private readonly ms: MediasoupService,
+    private readonly rooms: RoomService,
+  ) {}
+
+  onModuleInit() {
+    this.ms.events.on('activeSpeaker', (roomId: string, producer) => {
+      this.activeSpeakers.set(roomId, producer.appData.clientId);
+      this.updatePriorities(roomId);
+    });
+    this.ms.events.on('routerClosed', (roomId: string) =>
+      this.activeSpeakers.delete(roomId),
+    );
+  }
+
+  // Starts adapting the consumers of the peer to the transport's estimate
+  async watch(peer: Peer, transport: WebRtcTransport) {
+    await transport.enableTraceEvent(['bwe']);
+    transport.on('trace', (trace: TransportTraceEventData) => {
+      if (trace.type !== 'bwe') return;
+      this.adapt(peer, transport, trace.info as BweInfo).catch((error) =>
+        this.logger.warn({
+          message: `Bandwidth adaptation failed: ${error.message}`,
+          clientId: peer.id,
+          roomId: peer.roomId,
+          transportId: transport.id,
+        }),
+      );
+    });
+  }
+
+  async addConsumer(peer: Peer, consumer: Consumer) {
+    consumer.appData.bandwidth = 'ok';
+    await consumer.setPriority(this.getPriority(peer.roomId, consumer));
+  }
+
+  /**
+   * Layers the client asked for. They apply right away unless adaptation
+   * holds the consumer at its lowest layer, and once it lets go otherwise.
+   */
+  async setPreferredLayers(consumer: Consumer, layers: ConsumerLayers) {
+    consumer.appData.requestedLayers = layers;
+    if (consumer.appData.bandwidth === 'ok') {
+      await consumer.setPreferredLayers(layers);
+    }
+  }
+
+  isPaused(consumer: Consumer) {
+    return consumer.appData.bandwidth === 'paused';
+  }
+
+  private async adapt(peer: Peer, transport: WebRtcTransport, info: BweInfo) {
+    // Video the client wants and the sender sends, most important first
+    const video = Array.from(peer.consumers.values())
+      .filter(
+        (consumer) =>
+          consumer.kind === 'video' &&
+          !consumer.producerPaused &&
+          !consumer.appData.clientPaused &&
+          (!consumer.paused || this.isPaused(consumer)),
+      )
+      .sort((a, b) => b.priority - a.priority);
+    if (!video.length) return;
+
+    const stateOf = (consumer: Consumer) =>
+      consumer.appData.bandwidth as BandwidthState;
+    const hasLayers = (consumer: Consumer) =>
+      consumer.type === 'simulcast' || consumer.type === 'svc';
+
+    if (info.availableBitrate < info.desiredBitrate * CONGESTED_RATIO) {
+      const leastImportant = [...video].reverse();
+      const target =
+        leastImportant.find((consumer) => stateOf(consumer) === 'ok') ??
+        leastImportant.find((consumer) => stateOf(consumer) === 'downgraded');
+      if (!target) return;
+
+      transport.appData.lastDowngradeAt = Date.now();
+      const next =
+        stateOf(target) === 'ok' && hasLayers(target) ? 'downgraded' : 'paused';
+      await this.setState(peer, target, next, info);
+    } else if (
+      info.availableBitrate > info.desiredBitrate * HEADROOM_RATIO &&
+      Date.now() - ((transport.appData.lastDowngradeAt as number) ?? 0) >
+        UPGRADE_COOLDOWN_MS
+    ) {
+      const target =
+        video.find((consumer) => stateOf(consumer) === 'paused') ??
+        video.find((consumer) => stateOf(consumer) === 'downgraded');
+      if (!target) return;
+
+      const next =
+        stateOf(target) === 'paused' && hasLayers(target) ? 'downgraded' : 'ok';
+      await this.setState(peer, target, next, info);
+    }
+  }
+
+  private async setState(
+    peer: Peer,
+    consumer: Consumer,
+    state: BandwidthState,
+    info: BweInfo,
+  ) {
+    const previous = consumer.appData.bandwidth;
+    consumer.appData.bandwidth = state;
+
+    if (state === 'paused') {
+      await consumer.pause();
+    } else {
+      if (previous === 'paused') await consumer.resume();
+
+      const requested = consumer.appData.requestedLayers as ConsumerLayers;
+      if (state === 'downgraded') {
+        await consumer.setPreferredLayers({
+          spatialLayer: 0,
+          temporalLayer: requested?.temporalLayer,
+        });
+      } else if (requested) {
+        await consumer.setPreferredLayers(requested);
+      } else if (consumer.type === 'simulcast' || consumer.type === 'svc') {
+        // Back to the top layers mediasoup picks by default
+        await consumer.setPreferredLayers({
+          spatialLayer: 2,
+          temporalLayer: 2,
+        });
+      }
+    }
+
+    this.logger.log({
+      message: `Video consumer ${state}`,
+      clientId: peer.id,
+      roomId: peer.roomId,
+      consumerId: consumer.id,
+      availableBitrate: info.availableBitrate,
+      desiredBitrate: info.desiredBitrate,
+    });
+    this.events.emit('consumerBandwidthChanged', peer.id, consumer, state);
+  }
+
+  private getPriority(roomId: string, consumer: Consumer) {
+    if (consumer.kind === 'audio') return AUDIO_PRIORITY;
+    if (consumer.appData.source === 'screen') return SPEAKER_VIDEO_PRIORITY;
+    return consumer.appData.producerClientId === this.activeSpeakers.get(roomId)
+      ? SPEAKER_VIDEO_PRIORITY
+      : VIDEO_PRIORITY;
+  }
+
+  private updatePriorities(roomId: string) {
+    const room = this.rooms.getRoom(roomId);
+    if (!room) {
+      this.activeSpeakers.delete(roomId);
+      return;
+    }
+
+    for (const peer of room.peers.values()) {
+      for (const consumer of peer.consumers.values()) {
+        const priority = this.getPriority(roomId, consumer);
+        if (consumer.priority !== priority) {
+          consumer.setPriority(priority).catch(() => {}); // Closed meanwhile
+        }
+      }
+    }
+  }
+}
@@ -0,0 +1,113 @@
+import {
+  Consumer,
+  DataConsumer,
+  DataProducer,
+  MediaKind,
+  Producer,
+  WebRtcTransport,
+} from 'mediasoup/node/lib/types';
+import { AuthUser } from '../auth/auth.service';
+import { isScreenSource } from './app-data';
+
+/**
+ * One participant of a room and every mediasoup object created for it.
+ * Objects drop out of the maps however they get closed, so lookups never
+ * return stale entries.
+ */
+export class Peer {
+  readonly transports = new Map<string, WebRtcTransport>();
+  readonly producers = new Map<string, Producer>();
+  readonly consumers = new Map<string, Consumer>();
+  readonly dataProducers = new Map<string, DataProducer>();
+  readonly dataConsumers = new Map<string, DataConsumer>();
+  readonly joinedAt = new Date();
+  // Kinds a host muted, outliving the producers so new ones start muted too
+  readonly hostMutedKinds = new Set<MediaKind>();
+  // Sources with a producer, or one being created
+  private sources = new Set<string>();
+
+  constructor(
+    readonly id: string, // Socket id, or a generated id for pseudo peers
+    readonly roomId: string,
+    readonly user: AuthUser,
+    readonly pseudo = false, // No socket behind it, e.g. an RTP ingest
+  ) {}
+
+  addTransport(transport: WebRtcTransport) {
+    this.transports.set(transport.id, transport);
+    transport.observer.once('close', () =>
+      this.transports.delete(transport.id),
+    );
+  }
+
+  addProducer(producer: Producer) {
+    this.producers.set(producer.id, producer);
+    producer.observer.once('close', () => {
+      this.producers.delete(producer.id);
+      this.releaseSource(producer.appData.source as string);
+    });
+  }
+
+  addDataProducer(dataProducer: DataProducer) {
+    this.dataProducers.set(dataProducer.id, dataProducer);
+    dataProducer.observer.once('close', () =>
+      this.dataProducers.delete(dataProducer.id),
+    );
+  }
+
+  addDataConsumer(dataConsumer: DataConsumer) {
+    this.dataConsumers.set(dataConsumer.id, dataConsumer);
+    dataConsumer.observer.once('close', () =>
+      this.dataConsumers.delete(dataConsumer.id),
+    );
+  }
+
+  /**
+   * Reserves a source before its producer is created, so two concurrent
+   * requests cannot both get one. False when the source is taken.
+   */
+  claimSource(source: string) {
+    if (this.sources.has(source)) return false;
+    this.sources.add(source);
+    return true;
+  }
+
+  releaseSource(source: string | undefined) {
+    if (source) this.sources.delete(source);
+  }
+
+  /**
+   * Whether a host mute keeps producers of this kind and source paused. It
+   * covers microphones, cameras and custom producers, never shared screens.
+   */
+  isMutedByHost(kind: MediaKind, source: unknown) {
+    return this.hostMutedKinds.has(kind) && !isScreenSource(source);
+  }
+
+  addConsumer(consumer: Consumer) {
+    this.consumers.set(consumer.id, consumer);
+    consumer.observer.once('close', () => this.consumers.delete(consumer.id));
+  }
+
+  /**
+   * Closes everything the peer owns and returns the ids of the producers
+   * that were closed so other peers can be told.
+   */
+  close(): string[] {
+    const producerIds = Array.from(this.producers.keys());
+
+    // Closing producers first makes mediasoup fire 'producerclose' on the
+    // consumers of other peers before our own transports go away
+    for (const producer of Array.from(this.producers.values())) {
+      producer.close();
+    }
+    for (const consumer of Array.from(this.consumers.values())) {
+      consumer.close();
+    }
+    // Data producers and consumers close with their transports
+    for (const transport of Array.from(this.transports.values())) {
+      transport.close();
+    }
+    return producerIds;
+  }
+}
@@ -0,0 +1,307 @@
+import { Test, TestingModule } from '@nestjs/testing';
+import { EventEmitter } from 'events';
+import {
+  DataProducer,
+  Producer,
+  WebRtcTransport,
+} from 'mediasoup/node/lib/types';
+import { AuthUser } from '../auth/auth.service';
+import { MediasoupService } from '../mediasoup/mediasoup.service';
+import { RecordingService } from '../mediasoup/recording.service';
+import { ROOM_STORE } from './room.store';
+import { RoomService } from './room.service';
+import { MemoryRoomStore } from './stores/memory-room.store';
+
+// Just enough of a mediasoup object for the service: an id, close() and the
+// observer that reports it
+function fakeMediaObject<T>(id: string, extra: object = {}) {
+  const observer = new EventEmitter();
+  return {
+    id,
+    closed: false,
+    observer,
+    appData: {},
+    close() {
+      if (this.closed) return;
+      this.closed = true;
+      observer.emit('close');
+    },
+    ...extra,
+  } as unknown as T;
+}
+
+const user = (userId: string): AuthUser => ({
+  userId,
+  displayName: userId.toUpperCase(),
+  rooms: ['*'],
+  role: 'speaker',
+});
+
+describe('RoomService', () => {
+  let service: RoomService;
+  let store: MemoryRoomStore;
+  let ms: Record<string, jest.Mock>;
+  let recording: Record<string, jest.Mock>;
+
+  beforeEach(async () => {
+    store = new MemoryRoomStore();
+    ms = {
+      getOrCreateRouter: jest.fn((roomId: string, profile = 'meeting') =>
+        Promise.resolve({ appData: { profile } }),
+      ),
+      closeRouter: jest.fn(),
+      observeProducer: jest.fn().mockResolvedValue(undefined),
+      createWebRtcTransport: jest.fn((clientId: string) =>
+        Promise.resolve(fakeMediaObject(`transport-${clientId}`)),
+      ),
+    };
+    recording = {
+      isRecording: jest.fn().mockReturnValue(false),
+      addProducer: jest.fn(),
+      stop: jest.fn().mockResolvedValue(undefined),
+    };
+
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [
+        RoomService,
+        { provide: MediasoupService, useValue: ms },
+        { provide: RecordingService, useValue: recording },
+        { provide: ROOM_STORE, useValue: store },
+      ],
+    }).compile();
+
+    service = module.get<RoomService>(RoomService);
+  });
+
+  it('creates the room and its router on first join', async () => {
+    const { room, peer } = await service.join('a', 'lobby', user('alice'));
+
+    expect(ms.getOrCreateRouter).toHaveBeenCalledWith('lobby', undefined);
+    expect(room.peers.get('a')).toBe(peer);
+    expect(service.getPeer('a').roomId).toBe('lobby');
+    expect(await store.listRooms()).toEqual([
+      expect.objectContaining({ roomId: 'lobby' }),
+    ]);
+    expect(await store.listPeers('lobby')).toEqual([
+      expect.objectContaining({ clientId: 'a', userId: 'alice' }),
+    ]);
+  });
+
+  it('creates the room with the media profile of its first join', async () => {
+    await service.join('a', 'lobby', user('alice'), { profile: 'music' });
+    await service.join('b', 'lobby', user('bob'), { profile: 'h264-only' });
+
+    expect(ms.getOrCreateRouter).toHaveBeenCalledWith('lobby', 'music');
+    expect(service.getRoom('lobby').profile).toBe('music');
+    expect(await store.getRoom('lobby')).toEqual(
+      expect.objectContaining({ profile: 'music' }),
+    );
+  });
+
+  it('keeps the media profile other servers gave the room', async () => {
+    await store.saveRoom({
+      roomId: 'lobby',
+      createdAt: new Date().toISOString(),
+      profile: 'music',
+    });
+
+    await service.join('a', 'lobby', user('alice'), { profile: 'h264-only' });
+
+    expect(service.getRoom('lobby').profile).toBe('music');
+  });
+
+  it('refuses a second join before leaving', async () => {
+    await service.join('a', 'lobby', user('alice'));
+    await expect(service.join('a', 'other', user('alice'))).rejects.toThrow();
+  });
+
+  it('finds producers and their owners by id', async () => {
+    const { room, peer } = await service.join('a', 'lobby', user('alice'));
+    const producer = fakeMediaObject<Producer>('p1', { kind: 'audio' });
+
+    await service.addProducer(peer, producer);
+
+    expect(room.getProducer('p1')).toBe(producer);
+    expect(room.getProducerOwner('p1')).toBe(peer);
+    expect(ms.observeProducer).toHaveBeenCalledWith('lobby', producer);
+  });
+
+  it('forgets producers once they close', async () => {
+    const { room, peer } = await service.join('a', 'lobby', user('alice'));
+    const producer = fakeMediaObject<Producer>('p1', { kind: 'audio' });
+    await service.addProducer(peer, producer);
+
+    producer.close();
+
+    expect(room.getProducer('p1')).toBeUndefined();
+    expect(peer.producers.size).toBe(0);
+  });
+
+  it('finds data producers and their owners by id until they close', async () => {
+    const { room, peer } = await service.join('a', 'lobby', user('alice'));
+    const dataProducer = fakeMediaObject<DataProducer>('d1');
+
+    service.addDataProducer(peer, dataProducer);
+    expect(room.getDataProducer('d1')).toEqual({ peer, dataProducer });
+
+    dataProducer.close();
+    expect(room.getDataProducer('d1')).toBeUndefined();
+    expect(peer.dataProducers.size).toBe(0);
+  });
+
+  it('frees a source for reuse once its producer closes', async () => {
+    const { peer } = await service.join('a', 'lobby', user('alice'));
+    expect(peer.claimSource('screen')).toBe(true);
+    expect(peer.claimSource('screen')).toBe(false);
+
+    const producer = fakeMediaObject<Producer>('p1', {
+      kind: 'video',
+      appData: { clientId: 'a', source: 'screen' },
+    });
+    await service.addProducer(peer, producer);
+    producer.close();
+
+    expect(peer.claimSource('screen')).toBe(true);
+  });
+
+  it('lists the producers of other peers only', async () => {
+    const alice = await service.join('a', 'lobby', user('alice'));
+    const bob = await service.join('b', 'lobby', user('bob'));
+    await service.addProducer(
+      alice.peer,
+      fakeMediaObject<Producer>('p1', {
+        kind: 'video',
+        paused: false,
+        appData: { clientId: 'a', source: 'webcam' },
+      }),
+    );
+    await service.addProducer(
+      bob.peer,
+      fakeMediaObject<Producer>('p2', {
+        kind: 'audio',
+        paused: true,
+        appData: { clientId: 'b', source: 'mic' },
+      }),
+    );
+
+    expect(await service.listExistingProducers(alice.peer)).toEqual([
+      {
+        producerId: 'p2',
+        clientId: 'b',
+        displayName: 'BOB',
+        kind: 'audio',
+        paused: true,
+        appData: { source: 'mic' },
+      },
+    ]);
+  });
+
+  it('lists producers of peers on other servers from the store', async () => {
+    const { peer } = await service.join('a', 'lobby', user('alice'));
+    await store.saveProducer('lobby', {
+      producerId: 'p9',
+      clientId: 'z',
+      displayName: 'ZOE',
+      kind: 'video',
+      paused: false,
+      appData: { source: 'screen' },
+      nodeId: 'some-other-node',
+    });
+
+    expect(await service.listExistingProducers(peer)).toEqual([
+      {
+        producerId: 'p9',
+        clientId: 'z',
+        displayName: 'ZOE',
+        kind: 'video',
+        paused: false,
+        appData: { source: 'screen' },
+      },
+    ]);
+  });
+
+  it('lists the other peers of a room', async () => {
+    const { peer } = await service.join('a', 'lobby', user('alice'));
+    await service.join('b', 'lobby', user('bob'));
+    await service.join('c', 'elsewhere', user('carol'));
+
+    expect(await service.listOtherPeers(peer)).toEqual([
+      { clientId: 'b', displayName: 'BOB' },
+    ]);
+  });
+
+  it('keeps producer metadata in the store while they live', async () => {
+    const { peer } = await service.join('a', 'lobby', user('alice'));
+    const producer = fakeMediaObject<Producer>('p1', { kind: 'audio' });
+    await service.addProducer(peer, producer);
+
+    expect(await store.getProducer('lobby', 'p1')).toEqual(
+      expect.objectContaining({ clientId: 'a', kind: 'audio' }),
+    );
+
+    producer.close();
+    await new Promise(process.nextTick);
+    expect(await store.getProducer('lobby', 'p1')).toBeUndefined();
+  });
+
+  it('adds new producers to a running recording', async () => {
+    const { peer } = await service.join('a', 'lobby', user('alice'));
+    const producer = fakeMediaObject<Producer>('p1', { kind: 'audio' });
+    recording.isRecording.mockReturnValue(true);
+
+    await service.addProducer(peer, producer);
+
+    expect(recording.addProducer).toHaveBeenCalledWith('lobby', 'a', producer);
+  });
+
+  it('closes what a peer owns when it leaves', async () => {
+    const { peer } = await service.join('a', 'lobby', user('alice'));
+    await service.join('b', 'lobby', user('bob'));
+    const transport = await service.createTransport(peer);
+    const producer = fakeMediaObject<Producer>('p1', { kind: 'audio' });
+    await service.addProducer(peer, producer);
+
+    const left = service.leave('a');
+
+    expect(left).toEqual({
+      roomId: 'lobby',
+      closedProducerIds: ['p1'],
+      roomClosed: false,
+    });
+    expect((transport as WebRtcTransport).closed).toBe(true);
+    expect(producer.closed).toBe(true);
+    expect(service.getPeer('a')).toBeUndefined();
+    expect(ms.closeRouter).not.toHaveBeenCalled();
+  });
+
+  it('closes the room with its last peer', async () => {
+    await service.join('a', 'lobby', user('alice'));
+
+    expect(service.leave('a').roomClosed).toBe(true);
+    expect(service.getRoom('lobby')).toBeUndefined();
+    expect(ms.closeRouter).toHaveBeenCalledWith('lobby');
+    expect(recording.stop).toHaveBeenCalledWith('lobby');
+    await new Promise(process.nextTick);
+    expect(await store.listRooms()).toEqual([]);
+  });
+
+  it('keeps banned users out of a room until the ban ends', () => {
+    jest.useFakeTimers();
+    try {
+      service.ban('lobby', 'alice', 1000);
+
+      expect(service.isBanned('lobby', 'alice')).toBe(true);
+      expect(service.isBanned('lobby', 'bob')).toBe(false);
+      expect(service.isBanned('stage', 'alice')).toBe(false);
+
+      jest.advanceTimersByTime(1000);
+      expect(service.isBanned('lobby', 'alice')).toBe(false);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('ignores clients that are in no room', () => {
+    expect(service.leave('nobody')).toBeUndefined();
+  });
+});
@@ -0,0 +1,386 @@
+import { Inject, Injectable, Logger, OnModuleDestroy } from '@nestjs/common';
+import {
+  Consumer,
+  DataConsumer,
+  DataProducer,
+  Producer,
+} from 'mediasoup/node/lib/types';
+import { AuthUser } from '../auth/auth.service';
+import { getBitrateLimits } from '../mediasoup/bitrate-limits';
+import { MediasoupService } from '../mediasoup/mediasoup.service';
+import { RecordingService } from '../mediasoup/recording.service';
+import { getNodeId } from '../cluster/node-id';
+import { getClientAppData } from './app-data';
+import { Peer } from './peer';
+import { Room } from './room';
+import {
+  PeerMetadata,
+  ProducerMetadata,
+  ROOM_STORE,
+  RoomStore,
+} from './room.store';
+
+export interface LeaveResult {
+  roomId: string;
+  closedProducerIds: string[];
+  roomClosed: boolean; // The peer was the last one, the router is gone
+}
+
+/**
+ * Owns the rooms of this server and the peers in them. Knows nothing about
+ * sockets: callers get back what changed and tell the clients themselves.
+ */
+@Injectable()
+export class RoomService implements OnModuleDestroy {
+  private readonly logger = new Logger(RoomService.name);
+  private rooms = new Map<string, Room>(); // roomId -> room
+  private peers = new Map<string, Peer>(); // clientId -> peer
+  private bans = new Map<string, number>(); // roomId + userId -> until (ms)
+
+  constructor(
+    private readonly ms: MediasoupService,
+    private readonly recording: RecordingService,
+    @Inject(ROOM_STORE) private readonly store: RoomStore,
+  ) {}
+
+  async onModuleDestroy() {
+    await this.store.close?.();
+  }
+
+  getRoom(roomId: string) {
+    return this.rooms.get(roomId);
+  }
+
+  getPeer(clientId: string) {
+    return this.peers.get(clientId);
+  }
+
+  // Rooms hosted by this server
+  listLocalRooms() {
+    return Array.from(this.rooms.values());
+  }
+
+  // Local totals, reported to the node registry
+  counts() {
+    return { rooms: this.rooms.size, peers: this.peers.size };
+  }
+
+  /**
+   * Adds the client to a room, creating the room and its router on first
+   * join with the given media profile (the default one if none). The
+   * client must have left any previous room.
+   */
+  async join(
+    clientId: string,
+    roomId: string,
+    user: AuthUser,
+    { pseudo = false, profile }: { pseudo?: boolean; profile?: string } = {},
+  ) {
+    if (this.peers.has(clientId)) {
+      throw new Error(`${clientId} is already in a room`);
+    }
+
+    // Rooms get their own router, created on first join. A room other
+    // servers already host keeps its profile, or its producers could not be
+    // piped between the routers.
+    if (!this.rooms.has(roomId)) {
+      profile = (await this.store.getRoom(roomId))?.profile ?? profile;
+    }
+    const router = await this.ms.getOrCreateRouter(roomId, profile);
+
+    let room = this.rooms.get(roomId);
+    if (!room) {
+      room = new Room(roomId, router.appData.profile as string);
+      this.rooms.set(roomId, room);
+      await this.store.saveRoom({
+        roomId,
+        createdAt: room.createdAt.toISOString(),
+        profile: room.profile,
+      });
+    }
+
+    const peer = new Peer(clientId, roomId, user, pseudo);
+    room.addPeer(peer);
+    this.peers.set(clientId, peer);
+    await this.store.addPeer(roomId, this.toMetadata(peer));
+
+    return { room, peer };
+  }
+
+  /**
+   * Closes everything the client owns and removes it from its room, closing
+   * the room once it is empty. Undefined when the client was in no room.
+   */
+  leave(clientId: string): LeaveResult | undefined {
+    const peer = this.peers.get(clientId);
+    if (!peer) return undefined;
+
+    // Unlink first: closing producers may call back into leave()
+    this.peers.delete(clientId);
+    const room = this.rooms.get(peer.roomId);
+    room?.removePeer(clientId);
+
+    const closedProducerIds = peer.close();
+    this.persist(this.store.removePeer(peer.roomId, clientId));
+
+    const roomClosed = !!room && room.isEmpty;
+    if (roomClosed) {
+      this.rooms.delete(room.id);
+      this.recording.stop(room.id).catch((error) =>
+        this.logger.error(
+          {
+            message: `Failed to stop recording: ${error.message}`,
+            roomId: room.id,
+          },
+          error.stack,
+        ),
+      );
+      this.ms.closeRouter(room.id);
+      this.persist(this.releaseRoom(room.id));
+    }
+
+    return { roomId: peer.roomId, closedProducerIds, roomClosed };
+  }
+
+  // Keeps the user out of the room for a while, e.g. after a kick
+  ban(roomId: string, userId: string, durationMs: number) {
+    const now = Date.now();
+    for (const [key, until] of this.bans) {
+      if (until <= now) this.bans.delete(key);
+    }
+    this.bans.set(JSON.stringify([roomId, userId]), now + durationMs);
+  }
+
+  isBanned(roomId: string, userId: string) {
+    const until = this.bans.get(JSON.stringify([roomId, userId]));
+    return until !== undefined && until > Date.now();
+  }
+
+  // Keeps this server's entries in a shared store alive, see NodeRegistry
+  async refreshStore(ttlSeconds: number) {
+    await this.store.refreshNode?.(
+      getNodeId(),
+      Array.from(this.rooms.keys()),
+      ttlSeconds,
+    );
+  }
+
+  // Drops what a server that is gone left in the store
+  async purgeNode(nodeId: string) {
+    await this.store.purgeNode?.(nodeId);
+  }
+
+  // Where a producer of the room lives, possibly on another server
+  getProducerMetadata(roomId: string, producerId: string) {
+    return this.store.getProducer(roomId, producerId);
+  }
+
+  async createTransport(peer: Peer) {
+    const transport = await this.ms.createWebRtcTransport(
+      peer.id,
+      peer.roomId,
+      getBitrateLimits(
+        peer.roomId,
+        peer.user.role,
+        this.rooms.get(peer.roomId)?.profile,
+      ),
+    );
+    peer.addTransport(transport);
+    return transport;
+  }
+
+  // Registers a new producer with its room, the store, the speaker
+  // observers and a running recording
+  async addProducer(peer: Peer, producer: Producer) {
+    this.rooms.get(peer.roomId).addProducer(peer, producer);
+    await this.ms.observeProducer(peer.roomId, producer);
+
+    // Other servers read the store to list and pipe this producer
+    const save = () =>
+      this.persist(
+        this.store.saveProducer(
+          peer.roomId,
+          this.toProducerMetadata(peer, producer),
+        ),
+      );
+    producer.observer.on('pause', save);
+    producer.observer.on('resume', save);
+    producer.observer.once('close', () =>
+      this.persist(this.store.removeProducer(peer.roomId, producer.id)),
+    );
+    await this.store.saveProducer(
+      peer.roomId,
+      this.toProducerMetadata(peer, producer),
+    );
+
+    if (this.recording.isRecording(peer.roomId)) {
+      await this.recording.addProducer(peer.roomId, peer.id, producer);
+    }
+  }
+
+  addConsumer(peer: Peer, consumer: Consumer) {
+    peer.addConsumer(consumer);
+  }
+
+  addDataProducer(peer: Peer, dataProducer: DataProducer) {
+    this.rooms.get(peer.roomId).addDataProducer(peer, dataProducer);
+  }
+
+  addDataConsumer(peer: Peer, dataConsumer: DataConsumer) {
+    peer.addDataConsumer(dataConsumer);
+  }
+
+  // Data producers the peer can consume, with their owners
+  listExistingDataProducers(peer: Peer) {
+    const room = this.rooms.get(peer.roomId);
+    return (room?.listDataProducers(peer.id) || []).map(
+      ({ peer: owner, dataProducer }) => ({
+        dataProducerId: dataProducer.id,
+        clientId: owner.id,
+        displayName: owner.user.displayName,
+        label: dataProducer.label,
+        protocol: dataProducer.protocol,
+      }),
+    );
+  }
+
+  /**
+   * Producers the peer can consume, with their owners: the local ones plus,
+   * with a shared store, those of peers connected to other servers.
+   */
+  async listExistingProducers(peer: Peer) {
+    const room = this.rooms.get(peer.roomId);
+    const local = (room?.listProducers(peer.id) || []).map(
+      ({ peer: owner, producer }) => ({
+        producerId: producer.id,
+        clientId: owner.id,
+        displayName: owner.user.displayName,
+        kind: producer.kind,
+        paused: producer.paused,
+        appData: getClientAppData(producer),
+      }),
+    );
+
+    const remote = (await this.store.listProducers(peer.roomId))
+      .filter((producer) => producer.nodeId !== getNodeId())
+      .map(({ producerId, clientId, displayName, kind, paused, appData }) => ({
+        producerId,
+        clientId,
+        displayName,
+        kind,
+        paused,
+        appData,
+      }));
+
+    return [...local, ...remote];
+  }
+
+  // Everyone else in the peer's room, on this server or another one
+  async listOtherPeers(peer: Peer) {
+    const peers = await this.store.listPeers(peer.roomId);
+    return peers
+      .filter(({ clientId }) => clientId !== peer.id)
+      .map(({ clientId, displayName }) => ({ clientId, displayName }));
+  }
+
+  /**
+   * Rooms known to the store, which with a shared store includes rooms on
+   * other servers. Producer counts are only known for local rooms.
+   */
+  async listRooms() {
+    const rooms = await this.store.listRooms();
+    return Promise.all(
+      rooms.map(async ({ roomId, createdAt, profile }) => ({
+        roomId,
+        createdAt,
+        profile,
+        participants: (await this.store.listPeers(roomId)).length,
+        producers: this.rooms.get(roomId)?.listProducers().length,
+        recording: this.recording.isRecording(roomId),
+      })),
+    );
+  }
+
+  /**
+   * Snapshot of a local room for operators: every participant with the
+   * producers, consumers and transports it owns. Undefined for unknown rooms.
+   */
+  getRoomDetails(roomId: string) {
+    const room = this.rooms.get(roomId);
+    if (!room) return undefined;
+
+    const participants = Array.from(room.peers.values()).map((peer) => ({
+      clientId: peer.id,
+      userId: peer.user.userId,
+      displayName: peer.user.displayName,
+      role: peer.user.role,
+      pseudo: peer.pseudo,
+      joinedAt: peer.joinedAt,
+      producers: Array.from(peer.producers.values()).map((producer) => ({
+        id: producer.id,
+        kind: producer.kind,
+        type: producer.type,
+        paused: producer.paused,
+      })),
+      consumers: Array.from(peer.consumers.values()).map((consumer) => ({
+        id: consumer.id,
+        producerId: consumer.producerId,
+        kind: consumer.kind,
+        paused: consumer.paused,
+        producerPaused: consumer.producerPaused,
+      })),
+      transports: Array.from(peer.transports.values()).map((transport) => ({
+        id: transport.id,
+        iceState: transport.iceState,
+        dtlsState: transport.dtlsState,
+      })),
+    }));
+
+    return {
+      roomId,
+      createdAt: room.createdAt,
+      profile: room.profile,
+      recording: this.recording.isRecording(roomId),
+      participants,
+    };
+  }
+
+  private toMetadata(peer: Peer): PeerMetadata {
+    return {
+      clientId: peer.id,
+      userId: peer.user.userId,
+      displayName: peer.user.displayName,
+      role: peer.user.role,
+      pseudo: peer.pseudo,
+      joinedAt: peer.joinedAt.toISOString(),
+      nodeId: getNodeId(),
+    };
+  }
+
+  private toProducerMetadata(peer: Peer, producer: Producer): ProducerMetadata {
+    return {
+      producerId: producer.id,
+      clientId: peer.id,
+      displayName: peer.user.displayName,
+      kind: producer.kind,
+      paused: producer.paused,
+      appData: getClientAppData(producer),
+      nodeId: getNodeId(),
+    };
+  }
+
+  // The room is gone here, but peers on other servers may still use it
+  private async releaseRoom(roomId: string) {
+    const peers = await this.store.listPeers(roomId);
+    if (peers.length === 0) {
+      await this.store.deleteRoom(roomId);
+    }
+  }
+
+  // Store writes on the way out must not break cleanup
+  private persist(write: Promise<void>) {
+    write.catch((error) =>
+      this.logger.error(`Failed to update room store: ${error.message}`),
+    );
+  }
+}
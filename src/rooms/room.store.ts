@@ -0,0 +1,61 @@
+import { AppData } from 'mediasoup/node/lib/types';
+import { Role } from '../auth/auth.service';
+
+export interface RoomMetadata {
+  roomId: string;
+  createdAt: string; // ISO date
+  profile: string; // Media profile, the same on every server hosting the room
+}
+
+export interface PeerMetadata {
+  clientId: string;
+  userId: string;
+  displayName: string;
+  role: Role;
+  pseudo: boolean;
+  joinedAt: string; // ISO date
+  nodeId: string; // Server the peer is connected to
+}
+
+export interface ProducerMetadata {
+  producerId: string;
+  clientId: string;
+  displayName: string;
+  kind: 'audio' | 'video';
+  paused: boolean;
+  appData: AppData; // What the producing client attached, e.g. its source
+  nodeId: string; // Server whose router the producer lives on
+}
+
+/**
+ * Where room metadata is kept. Media objects always live in the process
+ * that created them; the store only holds what can be shared or inspected
+ * from outside, such as who is in which room.
+ */
+export interface RoomStore {
+  saveRoom(room: RoomMetadata): Promise<void>;
+  deleteRoom(roomId: string): Promise<void>;
+  getRoom(roomId: string): Promise<RoomMetadata | undefined>;
+  listRooms(): Promise<RoomMetadata[]>;
+  addPeer(roomId: string, peer: PeerMetadata): Promise<void>;
+  removePeer(roomId: string, clientId: string): Promise<void>;
+  listPeers(roomId: string): Promise<PeerMetadata[]>;
+  saveProducer(roomId: string, producer: ProducerMetadata): Promise<void>;
+  removeProducer(roomId: string, producerId: string): Promise<void>;
+  getProducer(
+    roomId: string,
+    producerId: string,
+  ): Promise<ProducerMetadata | undefined>;
+  listProducers(roomId: string): Promise<ProducerMetadata[]>;
+  // Stores shared by a cluster: keep a live node's peers and producers for
+  // ttlSeconds more, and drop everything a dead node left behind
+  refreshNode?(
+    nodeId: string,
+    roomIds: string[],
+    ttlSeconds: number,
+  ): Promise<void>;
+  purgeNode?(nodeId: string): Promise<void>;
+  close?(): Promise<void>;
+}
+
+export const ROOM_STORE = Symbol('ROOM_STORE');
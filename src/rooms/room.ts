@@ -0,0 +1,92 @@
+import { DataProducer, Producer } from 'mediasoup/node/lib/types';
+import { Peer } from './peer';
+
+export class Room {
+  readonly peers = new Map<string, Peer>(); // clientId -> peer
+  readonly createdAt = new Date();
+  private producerOwners = new Map<string, Peer>(); // producerId -> peer
+  private dataProducerOwners = new Map<string, Peer>(); // dataProducerId -> peer
+  // Producers of peers on other servers, piped into this room's router
+  private remoteProducers = new Map<string, Producer>(); // producerId -> producer
+
+  constructor(
+    readonly id: string,
+    readonly profile: string, // Media profile the router was created with
+  ) {}
+
+  get isEmpty() {
+    return this.peers.size === 0;
+  }
+
+  addPeer(peer: Peer) {
+    this.peers.set(peer.id, peer);
+  }
+
+  removePeer(clientId: string) {
+    this.peers.delete(clientId);
+  }
+
+  addProducer(peer: Peer, producer: Producer) {
+    peer.addProducer(producer);
+    this.producerOwners.set(producer.id, peer);
+    producer.observer.once('close', () =>
+      this.producerOwners.delete(producer.id),
+    );
+  }
+
+  addRemoteProducer(producer: Producer) {
+    this.remoteProducers.set(producer.id, producer);
+    producer.observer.once('close', () =>
+      this.remoteProducers.delete(producer.id),
+    );
+  }
+
+  getProducer(producerId: string) {
+    return (
+      this.producerOwners.get(producerId)?.producers.get(producerId) ??
+      this.remoteProducers.get(producerId)
+    );
+  }
+
+  getProducerOwner(producerId: string) {
+    return this.producerOwners.get(producerId);
+  }
+
+  // Every local producer in the room, optionally leaving out one peer's own
+  listProducers(exceptClientId?: string) {
+    const producers: { peer: Peer; producer: Producer }[] = [];
+    for (const peer of this.peers.values()) {
+      if (peer.id === exceptClientId) continue;
+      for (const producer of peer.producers.values()) {
+        producers.push({ peer, producer });
+      }
+    }
+    return producers;
+  }
+
+  addDataProducer(peer: Peer, dataProducer: DataProducer) {
+    peer.addDataProducer(dataProducer);
+    this.dataProducerOwners.set(dataProducer.id, peer);
+    dataProducer.observer.once('close', () =>
+      this.dataProducerOwners.delete(dataProducer.id),
+    );
+  }
+
+  getDataProducer(dataProducerId: string) {
+    const peer = this.dataProducerOwners.get(dataProducerId);
+    const dataProducer = peer?.dataProducers.get(dataProducerId);
+    return dataProducer && { peer, dataProducer };
+  }
+
+  // Data producers of this server's peers; they are not piped between nodes
+  listDataProducers(exceptClientId?: string) {
+    const dataProducers: { peer: Peer; dataProducer: DataProducer }[] = [];
+    for (const peer of this.peers.values()) {
+      if (peer.id === exceptClientId) continue;
+      for (const dataProducer of peer.dataProducers.values()) {
+        dataProducers.push({ peer, dataProducer });
+      }
+    }
+    return dataProducers;
+  }
+}
@@ -0,0 +1,28 @@
+import { Module } from '@nestjs/common';
+import Redis from 'ioredis';
+import { MediasoupModule } from 'src/mediasoup/mediasoup.module';
+import { BandwidthService } from './bandwidth.service';
+import { ROOM_STORE } from './room.store';
+import { RoomService } from './room.service';
+import { MemoryRoomStore } from './stores/memory-room.store';
+import { RedisRoomStore } from './stores/redis-room.store';
+
+@Module({
+  imports: [MediasoupModule],
+  providers: [
+    RoomService,
+    BandwidthService,
+    {
+      // ROOM_STORE=redis keeps room metadata in REDIS_URL instead of memory
+      provide: ROOM_STORE,
+      useFactory: () =>
+        process.env.ROOM_STORE === 'redis'
+          ? new RedisRoomStore(
+              new Redis(process.env.REDIS_URL || 'redis://127.0.0.1:6379'),
+            )
+          : new MemoryRoomStore(),
+    },
+  ],
+  exports: [RoomService, BandwidthService],
+})
+export class RoomsModule {}
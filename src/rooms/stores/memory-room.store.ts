@@ -0,0 +1,65 @@
+import {
+  PeerMetadata,
+  ProducerMetadata,
+  RoomMetadata,
+  RoomStore,
+} from '../room.store';
+
+// Default store, for a single server
+export class MemoryRoomStore implements RoomStore {
+  private rooms = new Map<string, RoomMetadata>();
+  private peers = new Map<string, Map<string, PeerMetadata>>(); // roomId -> clientId -> peer
+  private producers = new Map<string, Map<string, ProducerMetadata>>(); // roomId -> producerId -> producer
+
+  async saveRoom(room: RoomMetadata) {
+    this.rooms.set(room.roomId, room);
+  }
+
+  async deleteRoom(roomId: string) {
+    this.rooms.delete(roomId);
+    this.peers.delete(roomId);
+    this.producers.delete(roomId);
+  }
+
+  async getRoom(roomId: string) {
+    return this.rooms.get(roomId);
+  }
+
+  async listRooms() {
+    return Array.from(this.rooms.values());
+  }
+
+  async addPeer(roomId: string, peer: PeerMetadata) {
+    if (!this.peers.has(roomId)) {
+      this.peers.set(roomId, new Map());
+    }
+    this.peers.get(roomId).set(peer.clientId, peer);
+  }
+
+  async removePeer(roomId: string, clientId: string) {
+    this.peers.get(roomId)?.delete(clientId);
+  }
+
+  async listPeers(roomId: string) {
+    return Array.from(this.peers.get(roomId)?.values() || []);
+  }
+
+  async saveProducer(roomId: string, producer: ProducerMetadata) {
+    if (!this.producers.has(roomId)) {
+      this.producers.set(roomId, new Map());
+    }
+    this.producers.get(roomId).set(producer.producerId, producer);
+  }
+
+  async removeProducer(roomId: string, producerId: string) {
+    this.producers.get(roomId)?.delete(producerId);
+  }
+
+  async getProducer(roomId: string, producerId: string) {
+    return this.producers.get(roomId)?.get(producerId);
+  }
+
+  async listProducers(roomId: string) {
+    return Array.from(this.producers.get(roomId)?.values() || []);
+  }
+}
@@ -0,0 +1,191 @@
+import Redis from 'ioredis';
+import { getNodeId } from '../../cluster/node-id';
+import {
+  PeerMetadata,
+  ProducerMetadata,
+  RoomMetadata,
+  RoomStore,
+} from '../room.store';
+
+/**
+ * Keeps room metadata in Redis, or anything speaking its protocol (Valkey,
+ * KeyDB, ...), so it survives restarts and can be read by other servers.
+ *
+ *   <prefix>rooms                          set of room ids
+ *   <prefix>room:<id>                      room metadata as JSON
+ *   <prefix>room:<id>:nodes                set of ids of the nodes that had
+ *                                          peers or producers in the room
+ *   <prefix>room:<id>:peers:<nodeId>       hash of clientId -> peer metadata
+ *   <prefix>room:<id>:producers:<nodeId>   hash of producerId -> producer
+ *
+ * Peers and producers are kept per node, so what a crashed node leaves
+ * behind can go at once: its hashes expire unless its heartbeat refreshes
+ * them (refreshNode), and the other nodes purge them (purgeNode) once the
+ * node registry sees it gone.
+ */
+export class RedisRoomStore implements RoomStore {
+  constructor(
+    private readonly redis: Redis,
+    private readonly prefix = 'sfu:',
+    private readonly nodeId = getNodeId(), // Owner of what this store removes
+  ) {}
+
+  async saveRoom(room: RoomMetadata) {
+    await this.redis
+      .multi()
+      .sadd(`${this.prefix}rooms`, room.roomId)
+      .set(this.roomKey(room.roomId), JSON.stringify(room))
+      .exec();
+  }
+
+  async deleteRoom(roomId: string) {
+    const nodeIds = await this.redis.smembers(this.nodesKey(roomId));
+    await this.redis
+      .multi()
+      .srem(`${this.prefix}rooms`, roomId)
+      .del(
+        this.roomKey(roomId),
+        this.nodesKey(roomId),
+        ...nodeIds.flatMap((nodeId) => this.nodeKeys(roomId, nodeId)),
+      )
+      .exec();
+  }
+
+  async getRoom(roomId: string) {
+    const value = await this.redis.get(this.roomKey(roomId));
+    return value === null ? undefined : (JSON.parse(value) as RoomMetadata);
+  }
+
+  async listRooms() {
+    const roomIds = await this.redis.smembers(`${this.prefix}rooms`);
+    if (roomIds.length === 0) return [];
+
+    const values = await this.redis.mget(roomIds.map((id) => this.roomKey(id)));
+    return values
+      .filter((value) => value !== null)
+      .map((value) => JSON.parse(value) as RoomMetadata);
+  }
+
+  async addPeer(roomId: string, peer: PeerMetadata) {
+    await this.redis
+      .multi()
+      .sadd(this.nodesKey(roomId), peer.nodeId)
+      .hset(
+        this.peersKey(roomId, peer.nodeId),
+        peer.clientId,
+        JSON.stringify(peer),
+      )
+      .exec();
+  }
+
+  async removePeer(roomId: string, clientId: string) {
+    await this.redis.hdel(this.peersKey(roomId, this.nodeId), clientId);
+  }
+
+  async listPeers(roomId: string) {
+    return (await this.readAll(roomId, 'peers')) as PeerMetadata[];
+  }
+
+  async saveProducer(roomId: string, producer: ProducerMetadata) {
+    await this.redis
+      .multi()
+      .sadd(this.nodesKey(roomId), producer.nodeId)
+      .hset(
+        this.producersKey(roomId, producer.nodeId),
+        producer.producerId,
+        JSON.stringify(producer),
+      )
+      .exec();
+  }
+
+  async removeProducer(roomId: string, producerId: string) {
+    await this.redis.hdel(this.producersKey(roomId, this.nodeId), producerId);
+  }
+
+  async getProducer(roomId: string, producerId: string) {
+    const nodeIds = await this.redis.smembers(this.nodesKey(roomId));
+    if (nodeIds.length === 0) return undefined;
+
+    const pipeline = this.redis.pipeline();
+    for (const nodeId of nodeIds) {
+      pipeline.hget(this.producersKey(roomId, nodeId), producerId);
+    }
+    const value = (await pipeline.exec())
+      .map(([, result]) => result as string | null)
+      .find(Boolean);
+    return value ? (JSON.parse(value) as ProducerMetadata) : undefined;
+  }
+
+  async listProducers(roomId: string) {
+    return (await this.readAll(roomId, 'producers')) as ProducerMetadata[];
+  }
+
+  async refreshNode(nodeId: string, roomIds: string[], ttlSeconds: number) {
+    if (roomIds.length === 0) return;
+
+    const multi = this.redis.multi();
+    for (const roomId of roomIds) {
+      for (const key of this.nodeKeys(roomId, nodeId)) {
+        multi.expire(key, ttlSeconds);
+      }
+    }
+    await multi.exec();
+  }
+
+  async purgeNode(nodeId: string) {
+    const roomIds = await this.redis.smembers(`${this.prefix}rooms`);
+    for (const roomId of roomIds) {
+      const [[, removed], , [, remaining]] = await this.redis
+        .multi()
+        .srem(this.nodesKey(roomId), nodeId)
+        .del(...this.nodeKeys(roomId, nodeId))
+        .scard(this.nodesKey(roomId))
+        .exec();
+      if (removed && !remaining) {
+        await this.deleteRoom(roomId);
+      }
+    }
+  }
+
+  async close() {
+    await this.redis.quit();
+  }
+
+  // Everything all nodes keep of one kind for the room
+  private async readAll(roomId: string, kind: 'peers' | 'producers') {
+    const nodeIds = await this.redis.smembers(this.nodesKey(roomId));
+    if (nodeIds.length === 0) return [];
+
+    const pipeline = this.redis.pipeline();
+    for (const nodeId of nodeIds) {
+      pipeline.hvals(
+        kind === 'peers'
+          ? this.peersKey(roomId, nodeId)
+          : this.producersKey(roomId, nodeId),
+      );
+    }
+    return (await pipeline.exec()).flatMap(([, values]) =>
+      (values as string[]).map((value) => JSON.parse(value) as unknown),
+    );
+  }
+
+  private roomKey(roomId: string) {
+    return `${this.prefix}room:${roomId}`;
+  }
+
+  private nodesKey(roomId: string) {
+    return `${this.prefix}room:${roomId}:nodes`;
+  }
+
+  private peersKey(roomId: string, nodeId: string) {
+    return `${this.prefix}room:${roomId}:peers:${nodeId}`;
+  }
+
+  private producersKey(roomId: string, nodeId: string) {
+    return `${this.prefix}room:${roomId}:producers:${nodeId}`;
+  }
+
+  private nodeKeys(roomId: string, nodeId: string) {
+    return [this.peersKey(roomId, nodeId), this.producersKey(roomId, nodeId)];
+  }
+}
@@ -0,0 +1,40 @@
+import {
+  IsInt,
+  IsNotEmpty,
+  IsObject,
+  IsOptional,
+  IsString,
+  Min,
+} from 'class-validator';
+import { RtpCapabilities } from 'mediasoup/node/lib/types';
+
+export class ConsumeDto {
+  @IsString()
+  @IsNotEmpty()
+  transportId: string;
+
+  @IsString()
+  @IsNotEmpty()
+  producerId: string;
+
+  @IsObject()
+  rtpCapabilities: RtpCapabilities;
+}
+
+// resumeConsumer
+export class ConsumerIdDto {
+  @IsString()
+  @IsNotEmpty()
+  consumerId: string;
+}
+
+export class SetPreferredLayersDto extends ConsumerIdDto {
+  @IsInt()
+  @Min(0)
+  spatialLayer: number;
+
+  @IsOptional()
+  @IsInt()
+  @Min(0)
+  temporalLayer?: number;
+}
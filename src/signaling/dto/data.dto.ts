@@ -0,0 +1,38 @@
+import {
+  IsNotEmpty,
+  IsObject,
+  IsOptional,
+  IsString,
+  MaxLength,
+} from 'class-validator';
+import { SctpStreamParameters } from 'mediasoup/node/lib/types';
+
+export class ProduceDataDto {
+  @IsString()
+  @IsNotEmpty()
+  transportId: string;
+
+  @IsObject()
+  sctpStreamParameters: SctpStreamParameters;
+
+  // Tells receivers what the channel carries, e.g. 'chat'
+  @IsOptional()
+  @IsString()
+  @MaxLength(64)
+  label?: string;
+
+  @IsOptional()
+  @IsString()
+  @MaxLength(64)
+  protocol?: string;
+}
+
+export class ConsumeDataDto {
+  @IsString()
+  @IsNotEmpty()
+  transportId: string;
+
+  @IsString()
+  @IsNotEmpty()
+  dataProducerId: string;
+}
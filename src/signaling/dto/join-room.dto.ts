@@ -0,0 +1,14 @@
+import { IsNotEmpty, IsOptional, IsString, MaxLength } from 'class-validator';
+
+export class JoinRoomDto {
+  @IsString()
+  @IsNotEmpty()
+  @MaxLength(128)
+  roomId: string;
+
+  // Media profile of the room, used when the join creates it
+  @IsOptional()
+  @IsString()
+  @IsNotEmpty()
+  profile?: string;
+}
@@ -0,0 +1,82 @@
+import { Type } from 'class-transformer';
+import {
+  IsIn,
+  IsNotEmpty,
+  IsObject,
+  IsOptional,
+  IsString,
+  ValidateBy,
+  ValidateNested,
+} from 'class-validator';
+import { RtpParameters } from 'mediasoup/node/lib/types';
+import {
+  PRODUCER_SOURCES,
+  ProducerAppData,
+  ProducerSource,
+} from '../../rooms/app-data';
+
+// Metadata is stored and sent to everyone in the room, so keep it small
+const METADATA_MAX_BYTES = 1024; // As JSON
+const METADATA_MAX_KEYS = 32; // Across all levels
+const METADATA_MAX_DEPTH = 3;
+
+function isSmallMetadata(value: unknown) {
+  let keys = 0;
+  const fits = (node: unknown, depth: number): boolean => {
+    if (typeof node !== 'object' || node === null) return true;
+    if (depth > METADATA_MAX_DEPTH) return false;
+    const children = Object.values(node);
+    keys += children.length;
+    return (
+      keys <= METADATA_MAX_KEYS &&
+      children.every((child) => fits(child, depth + 1))
+    );
+  };
+  return (
+    fits(value, 1) &&
+    Buffer.byteLength(JSON.stringify(value)) <= METADATA_MAX_BYTES
+  );
+}
+
+export class ProducerAppDataDto implements ProducerAppData {
+  @IsIn(PRODUCER_SOURCES)
+  source: ProducerSource;
+
+  @IsOptional()
+  @IsObject()
+  @ValidateBy({
+    name: 'isSmallMetadata',
+    validator: {
+      validate: isSmallMetadata,
+      defaultMessage: () =>
+        `$property must fit in ${METADATA_MAX_BYTES} bytes of JSON, ` +
+        `${METADATA_MAX_KEYS} keys and ${METADATA_MAX_DEPTH} levels`,
+    },
+  })
+  metadata?: Record<string, unknown>;
+}
+
+export class ProduceDto {
+  @IsString()
+  @IsNotEmpty()
+  transportId: string;
+
+  @IsIn(['audio', 'video'])
+  kind: 'audio' | 'video';
+
+  @IsObject()
+  rtpParameters: RtpParameters;
+
+  // Passed on to other clients. Defaults to the mic or webcam source.
+  @IsOptional()
+  @ValidateNested()
+  @Type(() => ProducerAppDataDto)
+  appData?: ProducerAppDataDto;
+}
+
+// pauseProducer / resumeProducer / closeProducer
+export class ProducerIdDto {
+  @IsString()
+  @IsNotEmpty()
+  producerId: string;
+}
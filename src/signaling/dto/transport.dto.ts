@@ -0,0 +1,17 @@
+import { IsNotEmpty, IsObject, IsString } from 'class-validator';
+import { DtlsParameters } from 'mediasoup/node/lib/types';
+
+export class TransportIdDto {
+  @IsString()
+  @IsNotEmpty()
+  transportId: string;
+}
+
+export class ConnectTransportDto {
+  @IsString()
+  @IsNotEmpty()
+  transportId: string;
+
+  @IsObject()
+  dtlsParameters: DtlsParameters;
+}
@@ -0,0 +1,83 @@
+import { SessionService } from './session.service';
+
+describe('SessionService', () => {
+  let sessions: SessionService;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    sessions = new SessionService();
+  });
+
+  afterEach(() => {
+    sessions.onModuleDestroy();
+    jest.useRealTimers();
+  });
+
+  it('hands a session to a new socket of the same user', () => {
+    const { sessionId } = sessions.create('a', 'socket-1', 'alice', 'lobby');
+
+    const resumed = sessions.resume(sessionId, 'alice', 'socket-2');
+
+    expect(resumed.previousSocketId).toBe('socket-1');
+    expect(resumed.session).toMatchObject({
+      clientId: 'a',
+      roomId: 'lobby',
+      socketId: 'socket-2',
+    });
+    expect(sessions.getByClient('a')).toBe(resumed.session);
+  });
+
+  it('refuses unknown sessions and sessions of other users', () => {
+    const { sessionId } = sessions.create('a', 'socket-1', 'alice', 'lobby');
+
+    expect(sessions.resume('nope', 'alice', 'socket-2')).toBeUndefined();
+    expect(sessions.resume(sessionId, 'bob', 'socket-2')).toBeUndefined();
+    expect(sessions.getByClient('a').socketId).toBe('socket-1');
+  });
+
+  it('keeps a detached session for the grace period', () => {
+    const { sessionId } = sessions.create('a', 'socket-1', 'alice', 'lobby');
+    const onExpire = jest.fn();
+
+    expect(sessions.detach('a', 'socket-1', onExpire)).toBe(true);
+    jest.advanceTimersByTime(sessions.gracePeriodMs - 1);
+    const resumed = sessions.resume(sessionId, 'alice', 'socket-2');
+    jest.advanceTimersByTime(sessions.gracePeriodMs);
+
+    expect(resumed).toBeDefined();
+    expect(onExpire).not.toHaveBeenCalled();
+  });
+
+  it('expires a detached session after the grace period', () => {
+    const { sessionId } = sessions.create('a', 'socket-1', 'alice', 'lobby');
+    const onExpire = jest.fn();
+
+    sessions.detach('a', 'socket-1', onExpire);
+    jest.advanceTimersByTime(sessions.gracePeriodMs);
+
+    expect(onExpire).toHaveBeenCalledTimes(1);
+    expect(sessions.getByClient('a')).toBeUndefined();
+    expect(sessions.resume(sessionId, 'alice', 'socket-2')).toBeUndefined();
+  });
+
+  it('ignores sockets the session was already handed away from', () => {
+    const { sessionId } = sessions.create('a', 'socket-1', 'alice', 'lobby');
+    sessions.resume(sessionId, 'alice', 'socket-2');
+    const onExpire = jest.fn();
+
+    expect(sessions.detach('a', 'socket-1', onExpire)).toBe(false);
+    expect(sessions.detach('b', 'socket-3', onExpire)).toBe(false);
+    jest.advanceTimersByTime(sessions.gracePeriodMs);
+    expect(onExpire).not.toHaveBeenCalled();
+  });
+
+  it('replaces the previous session of a client', () => {
+    const first = sessions.create('a', 'socket-1', 'alice', 'lobby');
+    sessions.create('a', 'socket-1', 'alice', 'stage');
+
+    expect(sessions.resume(first.sessionId, 'alice', 'socket-2')).toBe(
+      undefined,
+    );
+    expect(sessions.getByClient('a').roomId).toBe('stage');
+  });
+});
@@ -0,0 +1,101 @@
+import { Injectable, Logger, OnModuleDestroy } from '@nestjs/common';
+import { randomUUID } from 'crypto';
+
+// What a client needs to take its peer back after losing its socket
+export interface Session {
+  sessionId: string;
+  clientId: string; // Peer id, the id of the socket that joined
+  userId: string;
+  roomId: string;
+  socketId: string; // Socket currently speaking for the peer
+  expiry?: NodeJS.Timeout; // Set while no socket is attached
+}
+
+/**
+ * Resumable sessions handed out on `join`. When a socket drops, its peer
+ * (transports, producers and consumers included) is kept for a grace
+ * period, during which a new socket can take it over with `resume`.
+ *
+ * Sessions live on the node serving the peer, so reconnecting to another
+ * node starts over.
+ */
+@Injectable()
+export class SessionService implements OnModuleDestroy {
+  private readonly logger = new Logger(SessionService.name);
+  private sessions = new Map<string, Session>(); // sessionId -> session
+  private byClient = new Map<string, Session>(); // clientId -> session
+
+  readonly gracePeriodMs =
+    parseInt(process.env.SESSION_GRACE_PERIOD_MS) || 30000;
+
+  onModuleDestroy() {
+    for (const session of this.sessions.values()) {
+      clearTimeout(session.expiry);
+    }
+  }
+
+  create(clientId: string, socketId: string, userId: string, roomId: string) {
+    this.remove(clientId);
+
+    const session: Session = {
+      sessionId: randomUUID(),
+      clientId,
+      userId,
+      roomId,
+      socketId,
+    };
+    this.sessions.set(session.sessionId, session);
+    this.byClient.set(clientId, session);
+    return session;
+  }
+
+  getByClient(clientId: string) {
+    return this.byClient.get(clientId);
+  }
+
+  /**
+   * The socket of the session went away: calls onExpire unless a new socket
+   * resumes it within the grace period. Returns false when there is nothing
+   * to keep, i.e. no session or the socket had already been replaced.
+   */
+  detach(clientId: string, socketId: string, onExpire: () => void) {
+    const session = this.byClient.get(clientId);
+    if (!session || session.socketId !== socketId) return false;
+
+    clearTimeout(session.expiry);
+    session.expiry = setTimeout(() => {
+      this.remove(clientId);
+      this.logger.log({
+        message: 'Session expired',
+        clientId,
+        roomId: session.roomId,
+      });
+      onExpire();
+    }, this.gracePeriodMs);
+    return true;
+  }
+
+  /**
+   * Hands the session over to a new socket of the same user. Returns the
+   * session, with the socket it replaces in previousSocketId.
+   */
+  resume(sessionId: string, userId: string, socketId: string) {
+    const session = this.sessions.get(sessionId);
+    if (!session || session.userId !== userId) return undefined;
+
+    clearTimeout(session.expiry);
+    session.expiry = undefined;
+    const previousSocketId = session.socketId;
+    session.socketId = socketId;
+    return { session, previousSocketId };
+  }
+
+  remove(clientId: string) {
+    const session = this.byClient.get(clientId);
+    if (!session) return;
+
+    clearTimeout(session.expiry);
+    this.sessions.delete(session.sessionId);
+    this.byClient.delete(clientId);
+  }
+}
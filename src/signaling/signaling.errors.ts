@@ -0,0 +1,38 @@
+import { WsException } from '@nestjs/websockets';
+
+export type SignalingErrorCode =
+  | 'UNAUTHORIZED'
+  | 'FORBIDDEN'
+  | 'VALIDATION_FAILED'
+  | 'NOT_IN_ROOM'
+  | 'SESSION_EXPIRED'
+  | 'TRANSPORT_NOT_FOUND'
+  | 'PRODUCER_NOT_FOUND'
+  | 'CONSUMER_NOT_FOUND'
+  | 'NOT_OWNER'
+  | 'SOURCE_IN_USE'
+  | 'UNSUPPORTED'
+  | 'UNAVAILABLE'
+  | 'INTERNAL_ERROR';
+
+export interface SignalingErrorBody {
+  code: SignalingErrorCode;
+  message: string;
+}
+
+/**
+ * Error a gateway handler throws to refuse a request. SignalingExceptionFilter
+ * turns it into `{ ok: false, error: { code, message } }` on the ack.
+ */
+export class SignalingException extends WsException {
+  constructor(
+    readonly code: SignalingErrorCode,
+    message: string,
+  ) {
+    super({ code, message });
+  }
+
+  getError(): SignalingErrorBody {
+    return { code: this.code, message: this.message };
+  }
+}
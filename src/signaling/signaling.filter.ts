@@ -0,0 +1,64 @@
+import {
+  ArgumentsHost,
+  Catch,
+  Logger,
+  WsExceptionFilter,
+} from '@nestjs/common';
+import { WsException } from '@nestjs/websockets';
+import { Socket } from 'socket.io';
+import { NoWorkersAvailableError } from '../mediasoup/mediasoup.service';
+import { SignalingErrorBody, SignalingException } from './signaling.errors';
+
+/**
+ * Acks every failed request with `{ ok: false, error: { code, message } }`.
+ * Requests sent without an ack callback get the same envelope as an
+ * 'exception' event instead.
+ */
+@Catch()
+export class SignalingExceptionFilter implements WsExceptionFilter {
+  private readonly logger = new Logger('SignalingGateway');
+
+  catch(exception: unknown, host: ArgumentsHost) {
+    const [client, , ack] = host.getArgs<[Socket, unknown, unknown]>();
+    const event = host.switchToWs().getPattern();
+    const error = this.toError(exception);
+
+    if (error.code === 'INTERNAL_ERROR') {
+      this.logger.error(
+        {
+          message: `Request failed: ${error.message}`,
+          clientId: client.data.clientId,
+          event,
+        },
+        exception instanceof Error ? exception.stack : undefined,
+      );
+    }
+
+    const response = { ok: false, error };
+    if (typeof ack === 'function') {
+      ack(response);
+    } else {
+      client.emit('exception', response);
+    }
+  }
+
+  private toError(exception: unknown): SignalingErrorBody {
+    if (exception instanceof SignalingException) {
+      return exception.getError();
+    }
+    if (exception instanceof NoWorkersAvailableError) {
+      return { code: 'UNAVAILABLE', message: exception.message };
+    }
+    if (exception instanceof WsException) {
+      const error = exception.getError();
+      return {
+        code: 'INTERNAL_ERROR',
+        message: typeof error === 'string' ? error : exception.message,
+      };
+    }
+    return {
+      code: 'INTERNAL_ERROR',
+      message: exception instanceof Error ? exception.message : 'Unknown error',
+    };
+  }
+}
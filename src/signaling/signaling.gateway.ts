@@ -5,259 +5,1199 @@ import {
   ConnectedSocket,
   WebSocketServer,
   OnGatewayDisconnect,
+  OnGatewayInit,
 } from '@nestjs/websockets';
+import { Logger, UseFilters, UseInterceptors, UsePipes } from '@nestjs/common';
 import { MediasoupService } from '../mediasoup/mediasoup.service';
+import { getBitrateLimits } from '../mediasoup/bitrate-limits';
+import { getIceServers, getIceTransportPolicy } from '../mediasoup/ice-servers';
+import {
+  getClientMediaProfile,
+  hasMediaProfile,
+} from '../mediasoup/media-profiles';
+import { RecordingService } from '../mediasoup/recording.service';
+import { RoomService } from '../rooms/room.service';
+import { BandwidthService, BandwidthState } from '../rooms/bandwidth.service';
+import { ClusterService } from '../cluster/cluster.service';
+import { Peer } from '../rooms/peer';
+import { Room } from '../rooms/room';
+import {
+  getClientAppData,
+  getDefaultSource,
+  isSourceKind,
+  ProducerAppData,
+} from '../rooms/app-data';
 import { Server, Socket } from 'socket.io';
+import { Consumer, Producer } from 'mediasoup/node/lib/types';
+import { AuthService, AuthUser } from '../auth/auth.service';
+import { SignalingException } from './signaling.errors';
+import { SignalingExceptionFilter } from './signaling.filter';
+import {
+  SignalingMetricsInterceptor,
+  SignalingResponseInterceptor,
+} from './signaling.interceptor';
+import { MetricsService } from '../metrics/metrics.service';
+import { SignalingValidationPipe } from './signaling.validation';
+import { SessionService } from './session.service';
+import { JoinRoomDto } from './dto/join-room.dto';
+import { ConnectTransportDto, TransportIdDto } from './dto/transport.dto';
+import { ResumeSessionDto } from './dto/session.dto';
+import { ConsumeDataDto, ProduceDataDto } from './dto/data.dto';
+import { ProduceDto, ProducerIdDto } from './dto/producer.dto';
+import {
+  ConsumeDto,
+  ConsumerIdDto,
+  SetPreferredLayersDto,
+} from './dto/consumer.dto';
 
 @WebSocketGateway({ cors: true })
-export class SignalingGateway implements OnGatewayDisconnect {
+@UseFilters(new SignalingExceptionFilter())
+@UseInterceptors(SignalingMetricsInterceptor, SignalingResponseInterceptor)
+@UsePipes(new SignalingValidationPipe())
+export class SignalingGateway implements OnGatewayInit, OnGatewayDisconnect {
   @WebSocketServer()
   server: Server;
 
-  private rooms = new Map<string, Set<string>>(); // roomId -> Set of clientIds
-  private clientRooms = new Map<string, string>(); // clientId -> roomId
-  private clientProducers = new Map<string, string[]>(); // clientId -> producerId[]
+  private readonly logger = new Logger(SignalingGateway.name);
+  private readonly kickBanMs = parseInt(process.env.KICK_BAN_MS) || 300000;
 
-  constructor(private readonly ms: MediasoupService) {}
+  constructor(
+    private readonly ms: MediasoupService,
+    private readonly rooms: RoomService,
+    private readonly bandwidth: BandwidthService,
+    private readonly cluster: ClusterService,
+    private readonly metrics: MetricsService,
+    private readonly auth: AuthService,
+    private readonly recording: RecordingService,
+    private readonly sessions: SessionService,
+  ) {}
 
-  handleDisconnect(client: Socket) {
-    const roomId = this.clientRooms.get(client.id);
-    if (roomId) {
-      const room = this.rooms.get(roomId);
-      if (room) {
-        room.delete(client.id);
-        // Notify others in room
-        client.to(roomId).emit('userLeft', { clientId: client.id });
+  afterInit(server: Server) {
+    // Every socket must present a valid token in its handshake:
+    // io(url, { auth: { token } })
+    server.use(async (socket, next) => {
+      try {
+        socket.data.user = await this.auth.verify(socket.handshake.auth?.token);
+        socket.data.clientId = socket.id;
+        // handleDisconnect only gets the socket, keep the reason for it
+        socket.once('disconnecting', (reason) => {
+          socket.data.disconnectReason = reason;
+        });
+        next();
+      } catch (error) {
+        this.logger.warn({
+          message: `Rejected connection: ${error.message}`,
+          clientId: socket.id,
+        });
+        const err = new Error('Unauthorized') as Error & { data?: unknown };
+        err.data = { code: 'UNAUTHORIZED', message: error.message };
+        next(err);
       }
-      this.clientRooms.delete(client.id);
+    });
+
+    this.ms.events.on('routersReset', (roomIds: string[]) =>
+      this.handleRoutersReset(roomIds),
+    );
+    // Every node observes its own producers plus those piped in for its
+    // clients, so each tells only its own sockets: through the Redis adapter
+    // clients would get every node's, conflicting, view of the room
+    this.ms.events.on('activeSpeaker', (roomId: string, producer: Producer) =>
+      this.server.local.to(roomId).emit('activeSpeaker', {
+        clientId: producer.appData.clientId,
+        producerId: producer.id,
+      }),
+    );
+    this.ms.events.on(
+      'audioLevels',
+      (roomId: string, volumes: { producer: Producer; volume: number }[]) =>
+        this.server.local.to(roomId).emit('audioLevels', {
+          levels: volumes.map(({ producer, volume }) => ({
+            clientId: producer.appData.clientId,
+            producerId: producer.id,
+            volume, // dBvo, -127 (silence) to 0 (loudest)
+          })),
+        }),
+    );
+    this.bandwidth.events.on(
+      'consumerBandwidthChanged',
+      (clientId: string, consumer: Consumer, state: BandwidthState) =>
+        this.server.to(clientId).emit('consumerBandwidthChanged', {
+          consumerId: consumer.id,
+          producerId: consumer.producerId,
+          state,
+        }),
+    );
+  }
+
+  /**
+   * A worker crashed and the rooms got new, empty routers. Producers died
+   * with the old router and dropped out of their peers on their own, so
+   * have every client in those rooms rebuild its transports, producers and
+   * consumers.
+   */
+  private handleRoutersReset(roomIds: string[]) {
+    for (const roomId of roomIds) {
+      this.logger.warn({
+        message: 'Media reset, asking clients to recover',
+        roomId,
+      });
+      this.server.to(roomId).emit('mediaReset', { roomId });
+    }
+  }
+
+  handleDisconnect(client: Socket) {
+    const clientId = this.getClientId(client);
+    const reason: string = client.data.disconnectReason;
+    this.logger.log({ message: 'Disconnected', clientId, reason });
+
+    const session = this.sessions.getByClient(clientId);
+    if (session && session.socketId !== client.id) {
+      return; // Another socket took the peer over already
+    }
+
+    // A client that hangs up on purpose is gone; one that lost its
+    // connection keeps its peer for a while, in case it comes back
+    if (
+      reason === 'client namespace disconnect' ||
+      !this.sessions.detach(clientId, client.id, () => this.leaveRoom(clientId))
+    ) {
+      this.leaveRoom(clientId);
+    }
+  }
+
+  /**
+   * Releases everything the client owns and removes it from its room,
+   * telling the remaining peers which producers went away.
+   */
+  private leaveRoom(clientId: string) {
+    this.sessions.remove(clientId);
+    const left = this.rooms.leave(clientId);
+    if (!left) return;
+
+    const { roomId, closedProducerIds, roomClosed } = left;
+
+    // Broadcast through the server rather than the socket, pseudo
+    // participants have none
+    const others = this.server.to(roomId).except(clientId);
+    for (const producerId of closedProducerIds) {
+      others.emit('producerClosed', { producerId, clientId });
+    }
+    others.emit('userLeft', { clientId });
+    this.server.in(clientId).socketsLeave(roomId);
+
+    this.logger.log({ message: 'Left room', clientId, roomId });
+    if (roomClosed) {
+      this.logger.log({ message: 'Room is empty, deleted', roomId });
+    }
+  }
+
+  /**
+   * Adds a participant without a socket, e.g. an RTP ingest, to a room.
+   * Its producers are listed and announced like any other peer's.
+   */
+  async addPseudoParticipant(roomId: string, clientId: string, user: AuthUser) {
+    await this.rooms.join(clientId, roomId, user, { pseudo: true });
+
+    this.server.to(roomId).emit('userJoined', {
+      clientId,
+      displayName: user.displayName,
+    });
+    this.logger.log({
+      message: `Pseudo participant ${user.displayName} added`,
+      clientId,
+      roomId,
+    });
+  }
+
+  async addPseudoProducer(clientId: string, producer: Producer) {
+    const peer = this.rooms.getPeer(clientId);
+    if (!peer) {
+      throw new Error(`Pseudo participant ${clientId} is not in a room`);
+    }
+
+    await this.rooms.addProducer(peer, producer);
+    this.server.to(peer.roomId).emit('newProducer', {
+      producerId: producer.id,
+      clientId,
+      kind: producer.kind,
+      appData: getClientAppData(producer),
+    });
+  }
+
+  removePseudoParticipant(clientId: string) {
+    // Closing its producers may land back here, by then the peer is gone
+    if (!this.rooms.getPeer(clientId)?.pseudo) return;
+
+    this.leaveRoom(clientId);
+    this.logger.log({ message: 'Pseudo participant removed', clientId });
+  }
+
+  /**
+   * Removes everyone from the room, which closes its router. Clients get
+   * `roomClosed` before their media is torn down.
+   */
+  closeRoom(roomId: string) {
+    const room = this.rooms.getRoom(roomId);
+    if (!room) return false;
+
+    this.server.to(roomId).emit('roomClosed', { roomId });
+    for (const clientId of Array.from(room.peers.keys())) {
+      this.leaveRoom(clientId);
     }
-    this.clientProducers.delete(client.id);
+    this.logger.log({ message: 'Room closed by an operator', roomId });
+    return true;
+  }
+
+  /**
+   * Removes the participant and keeps its user out of the room for
+   * KICK_BAN_MS, so it cannot simply join again with the same token.
+   */
+  kickParticipant(roomId: string, clientId: string) {
+    const peer = this.rooms.getPeer(clientId);
+    if (peer?.roomId !== roomId) return false;
+
+    this.rooms.ban(roomId, peer.user.userId, this.kickBanMs);
+    this.server.to(clientId).emit('kicked', { roomId });
+    this.leaveRoom(clientId);
+    this.logger.log({
+      message: 'Kicked from room',
+      clientId,
+      roomId,
+      userId: peer.user.userId,
+    });
+    return true;
+  }
+
+  /**
+   * Pauses the participant's producers of the given kind server-side, so
+   * nothing is forwarded even if the client ignores the `mutedByHost` notice.
+   * Until the host unmutes the participant, resumeProducer refuses them and
+   * new producers of the kind start paused (see Peer.isMutedByHost for what
+   * is covered). Returns the ids of the muted producers.
+   */
+  async muteParticipant(
+    roomId: string,
+    clientId: string,
+    kind: 'audio' | 'video',
+  ) {
+    const peer = this.rooms.getPeer(clientId);
+    if (peer?.roomId !== roomId) return undefined;
+
+    peer.hostMutedKinds.add(kind);
+    const producers = this.getHostMutedProducers(peer, kind);
+    for (const producer of producers) {
+      if (producer.paused) continue;
+
+      await producer.pause();
+      this.server
+        .to(roomId)
+        .except(clientId)
+        .emit('producerPaused', {
+          producerId: producer.id,
+          clientId,
+          kind,
+          appData: getClientAppData(producer),
+        });
+    }
+
+    this.server.to(clientId).emit('mutedByHost', { roomId, kind });
+    this.logger.log({
+      message: `${kind} muted by host`,
+      clientId,
+      roomId,
+      producerIds: producers.map((producer) => producer.id),
+    });
+    return producers.map((producer) => producer.id);
+  }
+
+  /**
+   * Lets the participant turn its producers of the given kind back on. They
+   * stay paused until the client resumes them. Returns the ids of the
+   * producers that were muted.
+   */
+  unmuteParticipant(roomId: string, clientId: string, kind: 'audio' | 'video') {
+    const peer = this.rooms.getPeer(clientId);
+    if (peer?.roomId !== roomId) return undefined;
+
+    const producers = this.getHostMutedProducers(peer, kind);
+    peer.hostMutedKinds.delete(kind);
+
+    this.server.to(clientId).emit('unmutedByHost', { roomId, kind });
+    this.logger.log({
+      message: `${kind} unmuted by host`,
+      clientId,
+      roomId,
+      producerIds: producers.map((producer) => producer.id),
+    });
+    return producers.map((producer) => producer.id);
+  }
+
+  private getHostMutedProducers(peer: Peer, kind: 'audio' | 'video') {
+    return Array.from(peer.producers.values()).filter(
+      (producer) =>
+        producer.kind === kind &&
+        peer.isMutedByHost(kind, producer.appData.source),
+    );
   }
 
   @SubscribeMessage('join')
   async joinRoom(
-    @MessageBody() data: { roomId: string },
+    @MessageBody() data: JoinRoomDto,
     @ConnectedSocket() client: Socket,
   ) {
     const { roomId } = data;
-    console.log(`🚪 [${client.id}] Joining room: ${roomId}`);
+    const user = this.getUser(client);
+    const clientId = this.getClientId(client);
+    this.logger.log({
+      message: 'Joining room',
+      clientId,
+      roomId,
+      userId: user.userId,
+      role: user.role,
+    });
+
+    if (!this.auth.canJoin(user, roomId)) {
+      this.logger.warn({
+        message: 'Not allowed in room',
+        clientId,
+        roomId,
+        userId: user.userId,
+      });
+      throw new SignalingException(
+        'FORBIDDEN',
+        `Not allowed to join room ${roomId}`,
+      );
+    }
+
+    if (this.rooms.isBanned(roomId, user.userId)) {
+      this.logger.warn({
+        message: 'Kicked from room, refused to rejoin',
+        clientId,
+        roomId,
+        userId: user.userId,
+      });
+      throw new SignalingException(
+        'FORBIDDEN',
+        `Removed from room ${roomId}, try again later`,
+      );
+    }
+
+    if (data.profile && !hasMediaProfile(data.profile)) {
+      throw new SignalingException(
+        'VALIDATION_FAILED',
+        `Unknown media profile ${data.profile}`,
+      );
+    }
 
-    // Leave previous room if any
-    const previousRoom = this.clientRooms.get(client.id);
+    // Leave previous room if any, releasing the media created for it
+    const previousRoom = this.rooms.getPeer(clientId)?.roomId;
     if (previousRoom) {
-      client.leave(previousRoom);
-      this.rooms.get(previousRoom)?.delete(client.id);
-      console.log(`  ← Left previous room: ${previousRoom}`);
+      this.leaveRoom(clientId);
     }
 
     // Join new room
+    const { room, peer } = await this.rooms.join(clientId, roomId, user, {
+      profile: data.profile,
+    });
     client.join(roomId);
-    this.clientRooms.set(client.id, roomId);
-
-    if (!this.rooms.has(roomId)) {
-      this.rooms.set(roomId, new Set());
-    }
-    this.rooms.get(roomId).add(client.id);
-
-    // Get existing producers in room
-    const existingProducers = [];
-    for (const otherId of this.rooms.get(roomId)) {
-      if (otherId !== client.id) {
-        const producers = this.clientProducers.get(otherId) || [];
-        existingProducers.push(
-          ...producers.map((pid) => {
-            const producer = this.ms.producers.get(pid);
-            return { producerId: pid, clientId: otherId, kind: producer?.kind || 'audio' };
-          }),
-        );
-      }
-    }
-
-    console.log(`  ✅ Joined room. Existing producers:`, existingProducers);
-    console.log(
-      `  📊 Room ${roomId} now has ${this.rooms.get(roomId).size} clients`,
+    const session = this.sessions.create(
+      clientId,
+      client.id,
+      user.userId,
+      roomId,
     );
 
+    const existingProducers = await this.rooms.listExistingProducers(peer);
+    const existingDataProducers = this.rooms.listExistingDataProducers(peer);
+
+    this.logger.log({
+      message: 'Joined room',
+      clientId: peer.id,
+      roomId,
+      peers: room.peers.size,
+      existingProducers: existingProducers.length,
+    });
+
     // Notify others in room
-    client.to(roomId).emit('userJoined', { clientId: client.id });
+    client.to(roomId).emit('userJoined', {
+      clientId: peer.id,
+      displayName: user.displayName,
+    });
 
-    return { joined: true, existingProducers };
+    return {
+      joined: true,
+      clientId: peer.id,
+      sessionId: session.sessionId,
+      user: {
+        userId: user.userId,
+        displayName: user.displayName,
+        role: user.role,
+      },
+      existingProducers,
+      existingDataProducers,
+      recording: this.recording.isRecording(roomId),
+      bitrateLimits: this.getClientBitrateLimits(room, user),
+      mediaProfile: getClientMediaProfile(room.profile),
+    };
+  }
+
+  /**
+   * Takes over the peer of a session whose socket dropped, with its
+   * transports, producers and consumers. The client catches up on what it
+   * missed with getProducers.
+   */
+  @SubscribeMessage('resume')
+  async resume(
+    @MessageBody() data: ResumeSessionDto,
+    @ConnectedSocket() client: Socket,
+  ) {
+    const user = this.getUser(client);
+    const resumed = this.sessions.resume(
+      data.sessionId,
+      user.userId,
+      client.id,
+    );
+    const peer = resumed && this.rooms.getPeer(resumed.session.clientId);
+    if (!peer) {
+      this.logger.warn({
+        message: 'Session cannot be resumed',
+        clientId: this.getClientId(client),
+        userId: user.userId,
+      });
+      throw new SignalingException(
+        'SESSION_EXPIRED',
+        'Session expired, join again',
+      );
+    }
+
+    // The old socket may not have noticed it lost the connection yet; its
+    // disconnect is ignored now that the session moved on
+    if (resumed.previousSocketId !== client.id) {
+      this.server.sockets.sockets.get(resumed.previousSocketId)?.disconnect();
+    }
+
+    client.data.clientId = peer.id;
+    client.join([peer.id, peer.roomId]);
+
+    this.logger.log({
+      message: 'Session resumed',
+      clientId: peer.id,
+      roomId: peer.roomId,
+      socketId: client.id,
+    });
+    return {
+      resumed: true,
+      clientId: peer.id,
+      roomId: peer.roomId,
+      recording: this.recording.isRecording(peer.roomId),
+      participants: await this.rooms.listOtherPeers(peer),
+    };
+  }
+
+  // Lets a client re-discover the room's producers after rebuilding its media
+  @SubscribeMessage('getProducers')
+  async getProducers(@ConnectedSocket() client: Socket) {
+    const peer = this.getPeer(client);
+    return {
+      existingProducers: await this.rooms.listExistingProducers(peer),
+      existingDataProducers: this.rooms.listExistingDataProducers(peer),
+    };
   }
 
   @SubscribeMessage('getRtpCapabilities')
-  getCaps() {
-    return this.ms.getRtpCapabilities();
+  getCaps(@ConnectedSocket() client: Socket) {
+    return this.ms.getRtpCapabilities(this.getPeer(client).roomId);
   }
 
   @SubscribeMessage('createTransport')
   async createTransport(@ConnectedSocket() client: Socket) {
-    console.log(`🔌 [${client.id}] Creating WebRTC transport`);
-    const transport = await this.ms.createWebRtcTransport(client.id);
+    const peer = this.getPeer(client);
+    const transport = await this.rooms.createTransport(peer);
+    const fields = {
+      clientId: peer.id,
+      roomId: peer.roomId,
+      transportId: transport.id,
+    };
 
     // Monitor transport events
     transport.on('dtlsstatechange', (dtlsState) => {
-      console.log(`  🔐 Transport ${transport.id} DTLS state:`, dtlsState);
-      if (dtlsState === 'failed' || dtlsState === 'closed') {
-        console.error(`  ❌ Transport ${transport.id} DTLS failed`);
+      this.metrics.dtlsStateChanges.inc({ state: dtlsState });
+      if (dtlsState === 'failed') {
+        this.logger.warn({ message: 'DTLS failed', ...fields });
+      } else {
+        this.logger.debug({ message: `DTLS state ${dtlsState}`, ...fields });
       }
     });
 
     transport.on('icestatechange', (iceState) => {
-      console.log(`  🧊 Transport ${transport.id} ICE state:`, iceState);
+      this.metrics.iceStateChanges.inc({ state: iceState });
+      this.logger.debug({ message: `ICE state ${iceState}`, ...fields });
     });
 
-    console.log(`  ✅ Transport created: ${transport.id}`);
+    await this.bandwidth.watch(peer, transport);
+
+    this.logger.log({ message: 'Transport created', ...fields });
     return {
       id: transport.id,
       iceParameters: transport.iceParameters,
       iceCandidates: transport.iceCandidates,
       dtlsParameters: transport.dtlsParameters,
+      sctpParameters: transport.sctpParameters,
+      // Here rather than in /config so only signed in users get TURN
+      // credentials, and they are fresh for every transport
+      iceServers: getIceServers(peer.user.userId),
+      iceTransportPolicy: getIceTransportPolicy(),
     };
   }
 
   @SubscribeMessage('connectTransport')
-  async connectTransport(@MessageBody() data) {
-    console.log(`🔗 Connecting transport: ${data.transportId}`);
-    const transport = this.ms.transports.get(data.transportId);
-
-    if (!transport) {
-      console.error(`  ❌ Transport not found: ${data.transportId}`);
-      throw new Error('Transport not found');
-    }
-
-    console.log(
-      `  🔐 Transport ${data.transportId} current DTLS state:`,
-      transport.dtlsState,
-    );
+  async connectTransport(
+    @MessageBody() data: ConnectTransportDto,
+    @ConnectedSocket() client: Socket,
+  ) {
+    const peer = this.getPeer(client);
+    const transport = this.getOwnTransport(peer, data.transportId);
 
     await transport.connect({ dtlsParameters: data.dtlsParameters });
 
-    console.log(
-      `  ✅ Transport connected. DTLS state:`,
-      transport.dtlsState,
-      'ICE state:',
-      transport.iceState,
-    );
+    this.logger.debug({
+      message: 'Transport connected',
+      clientId: peer.id,
+      roomId: peer.roomId,
+      transportId: transport.id,
+      dtlsState: transport.dtlsState,
+      iceState: transport.iceState,
+    });
 
     return { connected: true };
   }
 
-  @SubscribeMessage('produce')
-  async produce(@MessageBody() data, @ConnectedSocket() client: Socket) {
-    console.log(
-      `📤 [${client.id}] Producing ${data.kind} on transport: ${data.transportId}`,
-    );
-
-    const transport = this.ms.transports.get(data.transportId);
-    if (!transport) {
-      console.error(`  ❌ Transport not found: ${data.transportId}`);
-      throw new Error('Transport not found');
-    }
+  /**
+   * New ICE credentials for a transport whose connection broke, e.g. after
+   * the client switched networks. The client hands them to its own
+   * transport.restartIce().
+   */
+  @SubscribeMessage('restartIce')
+  async restartIce(
+    @MessageBody() data: TransportIdDto,
+    @ConnectedSocket() client: Socket,
+  ) {
+    const peer = this.getPeer(client);
+    const transport = this.getOwnTransport(peer, data.transportId);
 
-    const producer = await transport.produce({
-      kind: data.kind,
-      rtpParameters: data.rtpParameters,
+    const iceParameters = await transport.restartIce();
+    this.logger.log({
+      message: 'ICE restarted',
+      clientId: peer.id,
+      roomId: peer.roomId,
+      transportId: transport.id,
     });
+    return { iceParameters };
+  }
 
-    this.ms.producers.set(producer.id, producer);
-    console.log(`  ✅ Producer created: ${producer.id}`);
-
-    // Track producer for this client
-    if (!this.clientProducers.has(client.id)) {
-      this.clientProducers.set(client.id, []);
+  @SubscribeMessage('produce')
+  async produce(
+    @MessageBody() data: ProduceDto,
+    @ConnectedSocket() client: Socket,
+  ) {
+    const peer = this.getPeer(client);
+    const { user } = peer;
+    if (!this.auth.canProduce(user)) {
+      this.logger.warn({
+        message: `Role ${user.role} may not produce`,
+        clientId: peer.id,
+        roomId: peer.roomId,
+        userId: user.userId,
+      });
+      throw new SignalingException(
+        'FORBIDDEN',
+        `Role ${user.role} cannot produce`,
+      );
     }
-    this.clientProducers.get(client.id).push(producer.id);
 
-    // Notify others in the room
-    const roomId = this.clientRooms.get(client.id);
-    if (roomId) {
-      const room = this.rooms.get(roomId);
-      const otherClients = Array.from(room).filter((id) => id !== client.id);
-      console.log(
-        `  📢 Notifying ${otherClients.length} other client(s) in room ${roomId}`,
+    const transport = this.getOwnTransport(peer, data.transportId);
+
+    const appData: ProducerAppData = data.appData
+      ? { source: data.appData.source, metadata: data.appData.metadata }
+      : { source: getDefaultSource(data.kind) };
+    if (!isSourceKind(appData.source, data.kind)) {
+      throw new SignalingException(
+        'VALIDATION_FAILED',
+        `Source ${appData.source} cannot carry ${data.kind}`,
       );
+    }
+    if (!peer.claimSource(appData.source)) {
+      throw new SignalingException(
+        'SOURCE_IN_USE',
+        `Already producing ${appData.source}`,
+      );
+    }
 
-      client
-        .to(roomId)
-        .emit('newProducer', { producerId: producer.id, clientId: client.id, kind: producer.kind });
-    } else {
-      console.log(`  ⚠️ Client not in any room`);
+    // A new producer cannot get around a host mute
+    const mutedByHost = peer.isMutedByHost(data.kind, appData.source);
+
+    let producer: Producer;
+    try {
+      producer = await transport.produce({
+        kind: data.kind,
+        rtpParameters: data.rtpParameters,
+        paused: mutedByHost,
+        appData: { ...appData, clientId: peer.id },
+      });
+    } catch (error) {
+      peer.releaseSource(appData.source);
+      throw error;
     }
 
-    return { id: producer.id };
+    await this.rooms.addProducer(peer, producer);
+    this.logger.log({
+      message: `Producing ${producer.kind}`,
+      clientId: peer.id,
+      roomId: peer.roomId,
+      transportId: transport.id,
+      producerId: producer.id,
+    });
+
+    // Notify others in the room
+    this.notifyRoom(client, 'newProducer', producer);
+    if (mutedByHost) this.notifyRoom(client, 'producerPaused', producer);
+
+    return mutedByHost ? { id: producer.id, mutedByHost } : { id: producer.id };
   }
 
+  // Older name of subscribe
   @SubscribeMessage('consume')
-  async consume(@MessageBody() data, @ConnectedSocket() client: Socket) {
-    console.log(
-      `📥 [${client.id}] Consuming producer ${data.producerId} on transport ${data.transportId}`,
-    );
+  consume(@MessageBody() data: ConsumeDto, @ConnectedSocket() client: Socket) {
+    return this.subscribe(data, client);
+  }
 
-    const transport = this.ms.transports.get(data.transportId);
-    if (!transport) {
-      console.error(`  ❌ Transport not found: ${data.transportId}`);
-      throw new Error('Transport not found');
-    }
+  /**
+   * Creates a paused consumer of a producer. The client resumes it with
+   * resumeConsumer once its side is ready (and the tile is visible), and
+   * ends the subscription with unsubscribe.
+   */
+  @SubscribeMessage('subscribe')
+  async subscribe(
+    @MessageBody() data: ConsumeDto,
+    @ConnectedSocket() client: Socket,
+  ) {
+    const peer = this.getPeer(client);
+    const transport = this.getOwnTransport(peer, data.transportId);
+    const fields = {
+      clientId: peer.id,
+      roomId: peer.roomId,
+      transportId: transport.id,
+      producerId: data.producerId,
+    };
 
-    const producer = this.ms.producers.get(data.producerId);
+    // Producers of peers on other nodes are piped in on first use
+    const room = this.rooms.getRoom(peer.roomId);
+    const producer =
+      room.getProducer(data.producerId) ??
+      (await this.cluster.pipeRemoteProducer(peer.roomId, data.producerId));
     if (!producer) {
-      console.error(`  ❌ Producer not found: ${data.producerId}`);
-      throw new Error('Producer not found');
+      this.logger.warn({ message: 'Producer not found', ...fields });
+      throw new SignalingException('PRODUCER_NOT_FOUND', 'Producer not found');
     }
 
     // Safety check: Verify client isn't consuming their own producer
-    const producerClientId = Array.from(this.clientProducers.entries())
-      .find(([, producers]) => producers.includes(data.producerId))?.[0];
-    
-    if (producerClientId === client.id) {
-      console.warn(`  ⚠️ Client ${client.id} attempting to consume own producer - blocking`);
-      throw new Error('Cannot consume own producer');
+    if (room.getProducerOwner(data.producerId) === peer) {
+      this.logger.warn({
+        message: 'Refused to consume own producer',
+        ...fields,
+      });
+      throw new SignalingException('FORBIDDEN', 'Cannot consume own producer');
     }
 
-    console.log(`  📊 Producer details:`, {
-      id: producer.id,
-      kind: producer.kind,
-      paused: producer.paused,
-      score: producer.score,
-    });
-
     const consumer = await transport.consume({
       producerId: data.producerId,
       rtpCapabilities: data.rtpCapabilities,
-      paused: false, // Start unpaused
+      paused: true, // Nothing flows before the client asks for it
+      appData: {
+        clientId: peer.id,
+        producerClientId: producer.appData.clientId,
+        source: producer.appData.source,
+      },
     });
 
-    this.ms.consumers.set(consumer.id, consumer);
-    
-    console.log(`  📊 Consumer created:`, {
-      id: consumer.id,
-      kind: consumer.kind,
-      paused: consumer.paused,
+    this.rooms.addConsumer(peer, consumer);
+    await this.bandwidth.addConsumer(peer, consumer);
+
+    // The producer's owner left or stopped sending; the consumer is already
+    // closed by mediasoup, tell the receiving client to drop it too
+    consumer.on('producerclose', () => {
+      this.server.to(peer.id).emit('consumerClosed', {
+        consumerId: consumer.id,
+        producerId: data.producerId,
+      });
+    });
+
+    // Quality feedback for the receiving client's stats overlay
+    consumer.on('score', (score) => {
+      this.server.to(peer.id).emit('consumerScore', {
+        consumerId: consumer.id,
+        producerId: data.producerId,
+        score,
+      });
+    });
+    consumer.on('layerschange', (layers) => {
+      this.server.to(peer.id).emit('consumerLayersChanged', {
+        consumerId: consumer.id,
+        producerId: data.producerId,
+        layers: layers ?? null,
+      });
+    });
+
+    this.logger.log({
+      message: `Consuming ${consumer.kind}`,
+      ...fields,
+      consumerId: consumer.id,
       producerPaused: consumer.producerPaused,
     });
-    console.log(
-      `  ✅ Consumer created: ${consumer.id} (kind: ${consumer.kind})`,
-    );
 
     return {
       id: consumer.id,
       producerId: data.producerId,
       kind: consumer.kind,
+      type: consumer.type, // 'simulcast' / 'svc' consumers support layers
       rtpParameters: consumer.rtpParameters,
+      score: consumer.score,
     };
   }
 
+  @SubscribeMessage('setPreferredLayers')
+  async setPreferredLayers(
+    @MessageBody() data: SetPreferredLayersDto,
+    @ConnectedSocket() client: Socket,
+  ) {
+    const consumer = this.getOwnConsumer(client, data.consumerId);
+    this.logger.debug({
+      message: 'Setting preferred layers',
+      clientId: this.getClientId(client),
+      roomId: this.getPeer(client).roomId,
+      consumerId: consumer.id,
+      spatialLayer: data.spatialLayer,
+      temporalLayer: data.temporalLayer,
+    });
+    if (consumer.type !== 'simulcast' && consumer.type !== 'svc') {
+      throw new SignalingException('UNSUPPORTED', 'Consumer has no layers');
+    }
+
+    await this.bandwidth.setPreferredLayers(consumer, {
+      spatialLayer: data.spatialLayer,
+      temporalLayer: data.temporalLayer,
+    });
+
+    return { preferredLayers: consumer.preferredLayers };
+  }
+
   @SubscribeMessage('resumeConsumer')
-  async resumeConsumer(@MessageBody() data) {
-    console.log(`▶️ Resuming consumer: ${data.consumerId}`);
+  async resumeConsumer(
+    @MessageBody() data: ConsumerIdDto,
+    @ConnectedSocket() client: Socket,
+  ) {
+    const consumer = this.getOwnConsumer(client, data.consumerId);
+    consumer.appData.clientPaused = false;
+
+    // Bandwidth adaptation resumes it once the link allows
+    if (this.bandwidth.isPaused(consumer)) {
+      return { resumed: false };
+    }
+
+    await consumer.resume();
+    // Video picks up from the next keyframe, ask for one right away
+    if (consumer.kind === 'video') {
+      await consumer.requestKeyFrame();
+    }
+    this.logger.debug({
+      message: 'Consumer resumed',
+      clientId: this.getClientId(client),
+      roomId: this.getPeer(client).roomId,
+      consumerId: consumer.id,
+    });
+    return { resumed: true };
+  }
+
+  // Stops the media of a consumer the client does not show, e.g. the video
+  // of a tile on another page, while keeping it around for later
+  @SubscribeMessage('pauseConsumer')
+  async pauseConsumer(
+    @MessageBody() data: ConsumerIdDto,
+    @ConnectedSocket() client: Socket,
+  ) {
+    const consumer = this.getOwnConsumer(client, data.consumerId);
+    consumer.appData.clientPaused = true;
+
+    await consumer.pause();
+    this.logger.debug({
+      message: 'Consumer paused',
+      clientId: this.getClientId(client),
+      roomId: this.getPeer(client).roomId,
+      consumerId: consumer.id,
+    });
+    return { paused: true };
+  }
+
+  @SubscribeMessage('unsubscribe')
+  unsubscribe(
+    @MessageBody() data: ConsumerIdDto,
+    @ConnectedSocket() client: Socket,
+  ) {
+    const consumer = this.getOwnConsumer(client, data.consumerId);
+
+    consumer.close();
+    this.logger.debug({
+      message: 'Unsubscribed',
+      clientId: this.getClientId(client),
+      roomId: this.getPeer(client).roomId,
+      consumerId: consumer.id,
+      producerId: consumer.producerId,
+    });
+    return { closed: true };
+  }
+
+  // Server side view of a consumer: what the SFU sends and the round trip
+  // time and loss the client reports back in RTCP
+  @SubscribeMessage('getConsumerStats')
+  async getConsumerStats(
+    @MessageBody() data: ConsumerIdDto,
+    @ConnectedSocket() client: Socket,
+  ) {
+    const consumer = this.getOwnConsumer(client, data.consumerId);
+    const stats = await consumer.getStats();
+    const outbound = stats.find((entry) => entry.type === 'outbound-rtp');
 
-    const consumer = this.ms.consumers.get(data.consumerId);
-    if (consumer) {
-      await consumer.resume();
-      console.log(`  ✅ Consumer resumed: ${data.consumerId}`);
-    } else {
-      console.error(`  ❌ Consumer not found: ${data.consumerId}`);
+    return {
+      score: consumer.score,
+      layers: consumer.currentLayers ?? null,
+      bitrate: outbound?.bitrate ?? 0,
+      roundTripTime: outbound?.roundTripTime ?? null,
+      fractionLost: outbound?.fractionLost ?? 0,
+      packetsLost: outbound?.packetsLost ?? 0,
+    };
+  }
+
+  @SubscribeMessage('pauseProducer')
+  async pauseProducer(
+    @MessageBody() data: ProducerIdDto,
+    @ConnectedSocket() client: Socket,
+  ) {
+    const producer = this.getOwnProducer(client, data.producerId);
+
+    await producer.pause();
+    this.notifyRoom(client, 'producerPaused', producer);
+    this.logProducer(client, 'Producer paused', producer);
+
+    return { paused: true };
+  }
+
+  @SubscribeMessage('resumeProducer')
+  async resumeProducer(
+    @MessageBody() data: ProducerIdDto,
+    @ConnectedSocket() client: Socket,
+  ) {
+    const producer = this.getOwnProducer(client, data.producerId);
+    const peer = this.getPeer(client);
+    if (peer.isMutedByHost(producer.kind, producer.appData.source)) {
+      this.logProducer(client, 'Refused to resume, muted by host', producer);
+      throw new SignalingException('FORBIDDEN', 'Muted by the host');
     }
+
+    await producer.resume();
+    this.notifyRoom(client, 'producerResumed', producer);
+    this.logProducer(client, 'Producer resumed', producer);
+
     return { resumed: true };
   }
+
+  @SubscribeMessage('closeProducer')
+  closeProducer(
+    @MessageBody() data: ProducerIdDto,
+    @ConnectedSocket() client: Socket,
+  ) {
+    const producer = this.getOwnProducer(client, data.producerId);
+
+    // Consumers of other peers get 'producerclose' and are notified from there
+    producer.close();
+    this.notifyRoom(client, 'producerClosed', producer);
+    this.logProducer(client, 'Producer closed', producer);
+
+    return { closed: true };
+  }
+
+  // DataChannels: anyone in the room may send, e.g. chat messages
+  @SubscribeMessage('produceData')
+  async produceData(
+    @MessageBody() data: ProduceDataDto,
+    @ConnectedSocket() client: Socket,
+  ) {
+    const peer = this.getPeer(client);
+    const transport = this.getOwnTransport(peer, data.transportId);
+
+    const dataProducer = await transport.produceData({
+      sctpStreamParameters: data.sctpStreamParameters,
+      label: data.label,
+      protocol: data.protocol,
+      appData: { clientId: peer.id },
+    });
+    this.rooms.addDataProducer(peer, dataProducer);
+
+    this.logger.log({
+      message: 'Producing data',
+      clientId: peer.id,
+      roomId: peer.roomId,
+      transportId: transport.id,
+      dataProducerId: dataProducer.id,
+      label: dataProducer.label,
+    });
+
+    client.to(peer.roomId).emit('newDataProducer', {
+      dataProducerId: dataProducer.id,
+      clientId: peer.id,
+      displayName: peer.user.displayName,
+      label: dataProducer.label,
+      protocol: dataProducer.protocol,
+    });
+
+    return { id: dataProducer.id };
+  }
+
+  @SubscribeMessage('consumeData')
+  async consumeData(
+    @MessageBody() data: ConsumeDataDto,
+    @ConnectedSocket() client: Socket,
+  ) {
+    const peer = this.getPeer(client);
+    const transport = this.getOwnTransport(peer, data.transportId);
+    const fields = {
+      clientId: peer.id,
+      roomId: peer.roomId,
+      transportId: transport.id,
+      dataProducerId: data.dataProducerId,
+    };
+
+    const owner = this.rooms
+      .getRoom(peer.roomId)
+      .getDataProducer(data.dataProducerId)?.peer;
+    if (!owner) {
+      this.logger.warn({ message: 'Data producer not found', ...fields });
+      throw new SignalingException(
+        'PRODUCER_NOT_FOUND',
+        'Data producer not found',
+      );
+    }
+    if (owner === peer) {
+      throw new SignalingException(
+        'FORBIDDEN',
+        'Cannot consume own data producer',
+      );
+    }
+
+    const dataConsumer = await transport.consumeData({
+      dataProducerId: data.dataProducerId,
+      appData: { clientId: peer.id },
+    });
+    this.rooms.addDataConsumer(peer, dataConsumer);
+
+    dataConsumer.on('dataproducerclose', () => {
+      this.server.to(peer.id).emit('dataConsumerClosed', {
+        dataConsumerId: dataConsumer.id,
+        dataProducerId: data.dataProducerId,
+      });
+    });
+
+    this.logger.debug({
+      message: 'Consuming data',
+      ...fields,
+      dataConsumerId: dataConsumer.id,
+    });
+
+    return {
+      id: dataConsumer.id,
+      dataProducerId: data.dataProducerId,
+      sctpStreamParameters: dataConsumer.sctpStreamParameters,
+      label: dataConsumer.label,
+      protocol: dataConsumer.protocol,
+    };
+  }
+
+  @SubscribeMessage('startRecording')
+  async startRecording(@ConnectedSocket() client: Socket) {
+    const { roomId, user } = this.getPeer(client);
+
+    if (!this.auth.canRecord(user)) {
+      throw new SignalingException(
+        'FORBIDDEN',
+        `Role ${user.role} cannot record`,
+      );
+    }
+    if (this.recording.isRecording(roomId)) {
+      throw new SignalingException(
+        'UNSUPPORTED',
+        'Room is already being recorded',
+      );
+    }
+
+    const producers = this.rooms
+      .getRoom(roomId)
+      .listProducers()
+      .map(({ peer, producer }) => ({ clientId: peer.id, producer }));
+
+    const recording = await this.recording.start(roomId, producers);
+    this.logger.log({
+      message: 'Recording started',
+      clientId: this.getClientId(client),
+      roomId,
+      directory: recording.directory,
+    });
+    this.server.to(roomId).emit('recordingStarted', {
+      roomId,
+      startedAt: recording.startedAt,
+      startedBy: this.getClientId(client),
+    });
+
+    return { recording: true, startedAt: recording.startedAt };
+  }
+
+  @SubscribeMessage('stopRecording')
+  async stopRecording(@ConnectedSocket() client: Socket) {
+    const { roomId, user } = this.getPeer(client);
+
+    if (!this.auth.canRecord(user)) {
+      throw new SignalingException(
+        'FORBIDDEN',
+        `Role ${user.role} cannot record`,
+      );
+    }
+
+    const recording = await this.recording.stop(roomId);
+    if (!recording) {
+      throw new SignalingException('UNSUPPORTED', 'Room is not being recorded');
+    }
+    this.logger.log({
+      message: 'Recording stopped',
+      clientId: this.getClientId(client),
+      roomId,
+    });
+
+    this.server.to(roomId).emit('recordingStopped', {
+      roomId,
+      files: recording.files,
+    });
+
+    return { recording: false, files: recording.files };
+  }
+
+  // The part of the limits clients apply to their own encoders
+  private getClientBitrateLimits(room: Room, user: AuthUser) {
+    const { maxAudioBitrate, maxVideoBitrate } = getBitrateLimits(
+      room.id,
+      user.role,
+      room.profile,
+    );
+    return { maxAudioBitrate, maxVideoBitrate };
+  }
+
+  private getUser(client: Socket): AuthUser {
+    return client.data.user;
+  }
+
+  /**
+   * Id of the peer the socket speaks for: its own id, or the id of the
+   * socket it took a session over from.
+   */
+  private getClientId(client: Socket): string {
+    return client.data.clientId;
+  }
+
+  private getPeer(client: Socket): Peer {
+    const clientId = this.getClientId(client);
+    const peer = this.rooms.getPeer(clientId);
+    if (!peer) {
+      this.logger.warn({ message: 'Not in a room', clientId });
+      throw new SignalingException('NOT_IN_ROOM', 'Client not in a room');
+    }
+    return peer;
+  }
+
+  private getOwnTransport(peer: Peer, transportId: string) {
+    const transport = peer.transports.get(transportId);
+    if (!transport) {
+      this.logger.warn({
+        message: 'Transport not found',
+        clientId: peer.id,
+        roomId: peer.roomId,
+        transportId,
+      });
+      throw new SignalingException(
+        'TRANSPORT_NOT_FOUND',
+        'Transport not found',
+      );
+    }
+    return transport;
+  }
+
+  // Looks up a producer and makes sure the client is the one who created it
+  private getOwnProducer(client: Socket, producerId: string) {
+    const peer = this.getPeer(client);
+    const owner = this.rooms.getRoom(peer.roomId).getProducerOwner(producerId);
+    if (!owner) {
+      this.logger.warn({
+        message: 'Producer not found',
+        clientId: peer.id,
+        roomId: peer.roomId,
+        producerId,
+      });
+      throw new SignalingException('PRODUCER_NOT_FOUND', 'Producer not found');
+    }
+    if (owner !== peer) {
+      this.logger.warn({
+        message: 'Producer not owned by client',
+        clientId: peer.id,
+        roomId: peer.roomId,
+        producerId,
+      });
+      throw new SignalingException('NOT_OWNER', 'Producer not owned by client');
+    }
+    return owner.producers.get(producerId);
+  }
+
+  // Consumers are only ever looked up among the client's own
+  private getOwnConsumer(client: Socket, consumerId: string) {
+    const peer = this.getPeer(client);
+    const consumer = peer.consumers.get(consumerId);
+    if (!consumer) {
+      this.logger.warn({
+        message: 'Consumer not found',
+        clientId: peer.id,
+        roomId: peer.roomId,
+        consumerId,
+      });
+      throw new SignalingException('CONSUMER_NOT_FOUND', 'Consumer not found');
+    }
+    return consumer;
+  }
+
+  private notifyRoom(client: Socket, event: string, producer: Producer) {
+    const peer = this.rooms.getPeer(this.getClientId(client));
+    if (!peer) return;
+
+    client.to(peer.roomId).emit(event, {
+      producerId: producer.id,
+      clientId: peer.id,
+      kind: producer.kind,
+      appData: getClientAppData(producer),
+    });
+  }
+
+  private logProducer(client: Socket, message: string, producer: Producer) {
+    const clientId = this.getClientId(client);
+    this.logger.log({
+      message,
+      clientId,
+      roomId: this.rooms.getPeer(clientId)?.roomId,
+      producerId: producer.id,
+      kind: producer.kind,
+    });
+  }
 }
@@ -0,0 +1,40 @@
+import {
+  CallHandler,
+  ExecutionContext,
+  Injectable,
+  NestInterceptor,
+} from '@nestjs/common';
+import { map, tap } from 'rxjs/operators';
+import { MetricsService } from '../metrics/metrics.service';
+import { SignalingException } from './signaling.errors';
+
+// Wraps every successful handler result as `{ ok: true, data }`
+@Injectable()
+export class SignalingResponseInterceptor implements NestInterceptor {
+  intercept(context: ExecutionContext, next: CallHandler) {
+    return next.handle().pipe(map((data) => ({ ok: true, data })));
+  }
+}
+
+// Times every signaling message and counts the ones that fail, by event
+@Injectable()
+export class SignalingMetricsInterceptor implements NestInterceptor {
+  constructor(private readonly metrics: MetricsService) {}
+
+  intercept(context: ExecutionContext, next: CallHandler) {
+    const event = context.switchToWs().getPattern();
+    const end = this.metrics.signalingDuration.startTimer({ event });
+
+    return next.handle().pipe(
+      tap({
+        next: () => end({ outcome: 'ok' }),
+        error: (error) => {
+          end({ outcome: 'error' });
+          const code =
+            error instanceof SignalingException ? error.code : 'INTERNAL_ERROR';
+          this.metrics.signalingErrors.inc({ event, code });
+        },
+      }),
+    );
+  }
+}
@@ -1,9 +1,21 @@
 import { Module } from '@nestjs/common';
+import { AuthModule } from 'src/auth/auth.module';
+import { ClusterModule } from 'src/cluster/cluster.module';
 import { MediasoupModule } from 'src/mediasoup/mediasoup.module';
+import { MetricsModule } from 'src/metrics/metrics.module';
+import { RoomsModule } from 'src/rooms/rooms.module';
 import { SignalingGateway } from './signaling.gateway';
+import { SessionService } from './session.service';
 
 @Module({
-  imports: [MediasoupModule],
-  providers: [SignalingGateway],
+  imports: [
+    AuthModule,
+    ClusterModule,
+    MediasoupModule,
+    MetricsModule,
+    RoomsModule,
+  ],
+  providers: [SignalingGateway, SessionService],
+  exports: [SignalingGateway],
 })
 export class SignalingModule {}
@@ -0,0 +1,37 @@
+import { ArgumentMetadata, ValidationPipe } from '@nestjs/common';
+import { ValidationError } from 'class-validator';
+import { Socket } from 'socket.io';
+import { SignalingException } from './signaling.errors';
+
+/**
+ * Validates message payloads against their DTO class and rejects them with
+ * VALIDATION_FAILED. The connected socket passes through untouched.
+ */
+export class SignalingValidationPipe extends ValidationPipe {
+  constructor() {
+    super({
+      transform: true,
+      whitelist: true,
+      exceptionFactory: (errors) =>
+        new SignalingException(
+          'VALIDATION_FAILED',
+          collectMessages(errors).join('; ') || 'Invalid payload',
+        ),
+    });
+  }
+
+  async transform(value: any, metadata: ArgumentMetadata) {
+    if (value instanceof Socket) {
+      return value;
+    }
+    return super.transform(value, metadata);
+  }
+}
+
+// Constraint messages of the payload and of nested objects such as appData
+function collectMessages(errors: ValidationError[]): string[] {
+  return errors.flatMap((error) => [
+    ...Object.values(error.constraints || {}),
+    ...collectMessages(error.children || []),
+  ]);
+}